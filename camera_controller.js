@@ -0,0 +1,241 @@
+"use strict";
+
+/**
+ * Creates an orbit camera controller for a canvas.
+ * Left drag (or one finger) orbits around the target, right or shift drag
+ * (or two fingers) pans, and the wheel (or pinch) dollies. Movement eases
+ * toward the requested position, and double-click frames the last extents.
+ * @param {HTMLCanvasElement} canvas - The canvas receiving mouse, wheel and touch input.
+ * @param {Object} cameraInfo - Camera settings from `setupCamera`; its position, target and clip planes are updated in place.
+ * @param {Object} [options] - Controller options.
+ * @param {number} [options.fieldOfView=Math.PI / 3] - Vertical field of view in radians, used to scale panning.
+ * @param {number} [options.damping=10] - How quickly the camera catches up with input, per second.
+ * @param {boolean} [options.autoRotate=false] - Spin around the target until the user interacts.
+ * @param {number} [options.autoRotateSpeed=1] - Auto-rotation speed in radians per second.
+ * @returns {Object} Controller with `update`, `frame`, `setView` and `dispose` functions.
+ */
+const createCameraController = (canvas, cameraInfo, {
+  fieldOfView = Math.PI / 3,
+  damping = 10,
+  autoRotate = false,
+  autoRotateSpeed = 1,
+} = {}) => {
+  const offset = m4.subtractVectors(cameraInfo.cameraPosition, cameraInfo.cameraTarget, []);
+  const initialDistance = m4.length(offset) || 1;
+
+  /** Spherical camera state around the target: where the input wants it, and where it is now */
+  const desired = {
+    yaw: Math.atan2(offset[0], offset[2]),
+    pitch: Math.asin(offset[1] / initialDistance),
+    distance: initialDistance,
+    target: [...cameraInfo.cameraTarget],
+  };
+  const current = { ...desired, target: [...desired.target] };
+
+  const maxPitch = Math.PI / 2 - 0.01;
+  let radius = initialDistance / 1.2;
+  let framedExtents = null;
+
+  const pointers = new Map();
+  let lastPinch = null;
+
+  /**
+   * Gets the camera's right and up vectors for the current orientation.
+   * @returns {Object} The right and up unit vectors.
+   */
+  const getCameraAxes = () => {
+    const right = [Math.cos(current.yaw), 0, -Math.sin(current.yaw)];
+    const forward = [
+      -Math.cos(current.pitch) * Math.sin(current.yaw),
+      -Math.sin(current.pitch),
+      -Math.cos(current.pitch) * Math.cos(current.yaw),
+    ];
+    return { right, up: m4.cross(right, forward, []) };
+  };
+
+  /**
+   * Rotates the desired camera around the target.
+   * @param {number} dx - Horizontal movement in pixels.
+   * @param {number} dy - Vertical movement in pixels.
+   */
+  const orbit = (dx, dy) => {
+    const radiansPerPixel = Math.PI / canvas.clientHeight;
+    desired.yaw -= dx * radiansPerPixel;
+    desired.pitch = Math.min(maxPitch, Math.max(-maxPitch, desired.pitch + dy * radiansPerPixel));
+  };
+
+  /**
+   * Moves the desired target in the view plane so the model follows the pointer.
+   * @param {number} dx - Horizontal movement in pixels.
+   * @param {number} dy - Vertical movement in pixels.
+   */
+  const pan = (dx, dy) => {
+    const worldPerPixel = 2 * desired.distance * Math.tan(fieldOfView / 2) / canvas.clientHeight;
+    const { right, up } = getCameraAxes();
+    m4.addVectors(desired.target, m4.scaleVector(right, -dx * worldPerPixel, []), desired.target);
+    m4.addVectors(desired.target, m4.scaleVector(up, dy * worldPerPixel, []), desired.target);
+  };
+
+  /**
+   * Moves the desired camera toward (scale < 1) or away from (scale > 1) the target.
+   * @param {number} scale - Factor applied to the distance.
+   */
+  const dolly = (scale) => {
+    desired.distance = Math.min(radius * 100, Math.max(radius * 0.01, desired.distance * scale));
+  };
+
+  /**
+   * Stops auto-rotation once the user takes control.
+   */
+  const stopAutoRotate = () => {
+    autoRotate = false;
+  };
+
+  const onPointerDown = (event) => {
+    stopAutoRotate();
+    canvas.setPointerCapture(event.pointerId);
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, button: event.button, shiftKey: event.shiftKey });
+    lastPinch = null;
+  };
+
+  const onPointerMove = (event) => {
+    const pointer = pointers.get(event.pointerId);
+    if (!pointer) return;
+
+    const dx = event.clientX - pointer.x;
+    const dy = event.clientY - pointer.y;
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+
+    if (pointers.size === 1) {
+      if (pointer.button === 2 || pointer.shiftKey) {
+        pan(dx, dy);
+      } else {
+        orbit(dx, dy);
+      }
+      return;
+    }
+
+    // Two touches: the spread dollies and the midpoint pans
+    const [a, b] = [...pointers.values()];
+    const pinch = {
+      spread: Math.hypot(a.x - b.x, a.y - b.y),
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+    };
+    if (lastPinch && pinch.spread > 0) {
+      dolly(lastPinch.spread / pinch.spread);
+      pan(pinch.x - lastPinch.x, pinch.y - lastPinch.y);
+    }
+    lastPinch = pinch;
+  };
+
+  const onPointerUp = (event) => {
+    pointers.delete(event.pointerId);
+    lastPinch = null;
+  };
+
+  const onWheel = (event) => {
+    event.preventDefault();
+    stopAutoRotate();
+    dolly(Math.exp(event.deltaY * 0.001));
+  };
+
+  const onContextMenu = (event) => {
+    event.preventDefault();
+  };
+
+  const onDoubleClick = () => {
+    if (framedExtents) {
+      frame(framedExtents);
+    }
+  };
+
+  /**
+   * Points the camera at the center of some extents from a distance that fits them.
+   * @param {Object} extents - World-space min and max coordinates, e.g. from `getGeometriesExtents`.
+   */
+  const frame = (extents) => {
+    framedExtents = extents;
+    const range = m4.subtractVectors(extents.max, extents.min, []);
+    radius = m4.length(range) / 2 || 1;
+
+    desired.target = m4.addVectors(extents.min, m4.scaleVector(range, 0.5, []), []);
+    desired.distance = m4.length(range) * 1.2 || 1;
+  };
+
+  /**
+   * Moves the camera straight to a view, without easing, and stops auto-rotation.
+   * @param {number[]} [position] - Camera position; by default the camera keeps its direction and distance.
+   * @param {number[]} [target] - Point to look at; by default the current target.
+   */
+  const setView = (position = null, target = null) => {
+    stopAutoRotate();
+    if (target) {
+      desired.target = [...target];
+    }
+
+    const offset = position ? m4.subtractVectors(position, desired.target, []) : [0, 0, 0];
+    const distance = m4.length(offset);
+    if (distance > 0) {
+      desired.yaw = Math.atan2(offset[0], offset[2]);
+      desired.pitch = Math.min(maxPitch, Math.max(-maxPitch, Math.asin(offset[1] / distance)));
+      desired.distance = distance;
+    }
+
+    Object.assign(current, desired, { target: [...desired.target] });
+  };
+
+  /**
+   * Eases the camera toward the requested state and writes it into `cameraInfo`.
+   * @param {number} deltaTime - Seconds since the last update.
+   */
+  const update = (deltaTime) => {
+    if (autoRotate) {
+      desired.yaw -= autoRotateSpeed * deltaTime;
+    }
+
+    const t = 1 - Math.exp(-damping * deltaTime);
+    current.yaw += (desired.yaw - current.yaw) * t;
+    current.pitch += (desired.pitch - current.pitch) * t;
+    current.distance += (desired.distance - current.distance) * t;
+    for (let i = 0; i < 3; ++i) {
+      current.target[i] += (desired.target[i] - current.target[i]) * t;
+    }
+
+    const direction = [
+      Math.cos(current.pitch) * Math.sin(current.yaw),
+      Math.sin(current.pitch),
+      Math.cos(current.pitch) * Math.cos(current.yaw),
+    ];
+    cameraInfo.cameraTarget = [...current.target];
+    cameraInfo.cameraPosition = m4.addVectors(current.target, m4.scaleVector(direction, current.distance, []), []);
+    cameraInfo.zNear = Math.max(current.distance - radius * 2, current.distance / 100);
+    cameraInfo.zFar = current.distance + radius * 2;
+  };
+
+  /**
+   * Removes the input listeners from the canvas.
+   */
+  const dispose = () => {
+    canvas.removeEventListener('pointerdown', onPointerDown);
+    canvas.removeEventListener('pointermove', onPointerMove);
+    canvas.removeEventListener('pointerup', onPointerUp);
+    canvas.removeEventListener('pointercancel', onPointerUp);
+    canvas.removeEventListener('wheel', onWheel);
+    canvas.removeEventListener('contextmenu', onContextMenu);
+    canvas.removeEventListener('dblclick', onDoubleClick);
+  };
+
+  // Keep the browser from scrolling or zooming the page on touch drags
+  canvas.style.touchAction = 'none';
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerup', onPointerUp);
+  canvas.addEventListener('pointercancel', onPointerUp);
+  canvas.addEventListener('wheel', onWheel, { passive: false });
+  canvas.addEventListener('contextmenu', onContextMenu);
+  canvas.addEventListener('dblclick', onDoubleClick);
+
+  return { update, frame, setView, dispose };
+};
@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * Gets the key a file reference is matched by: its lowercase file name without
+ * any directories, so `textures\Duck.PNG`, `./textures/duck.png` and `duck.png`
+ * all find the same dropped file.
+ * @param {string} reference - A file name, path or relative URL.
+ * @returns {string} The key.
+ */
+const getFileKey = (reference) => {
+  let name = reference.split(/[\\/]/).pop();
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // Not URI-encoded; keep the name as written
+  }
+  return name.toLowerCase();
+};
+
+/**
+ * Creates a set of local files, e.g. dropped onto the canvas or picked with a
+ * file input, that model, material and texture references resolve against
+ * through blob URLs instead of being fetched relative to the page.
+ * @param {FileList|File[]} files - The files.
+ * @returns {Object} The file set: its `files`, `resolve(reference)`, the `missing`
+ *   references that had no file, and `revoke()` to release the blob URLs.
+ */
+const createFileSet = (files) => {
+  const filesByKey = new Map();
+  Array.from(files).forEach(file => filesByKey.set(getFileKey(file.name), file));
+
+  const hrefs = new Map();
+  const missing = new Set();
+
+  /**
+   * Gets the blob URL of the file a reference names, creating it on first use.
+   * Data and blob URLs are already loadable and returned unchanged.
+   * @param {string} reference - The file name or relative URL, as written in the referencing file.
+   * @returns {string|null} The URL, or null if the set has no such file.
+   */
+  const resolve = (reference) => {
+    if (/^(data|blob):/.test(reference)) {
+      return reference;
+    }
+
+    const key = getFileKey(reference);
+    const file = filesByKey.get(key);
+    if (!file) {
+      missing.add(reference);
+      return null;
+    }
+
+    if (!hrefs.has(key)) {
+      hrefs.set(key, URL.createObjectURL(file));
+    }
+    return hrefs.get(key);
+  };
+
+  /**
+   * Releases the blob URLs; textures still loading from them will fail.
+   */
+  const revoke = () => {
+    hrefs.forEach(href => URL.revokeObjectURL(href));
+    hrefs.clear();
+  };
+
+  return { files: Array.from(filesByKey.values()), resolve, missing, revoke };
+};
+
+/**
+ * Resolves a file referenced by a model, such as an MTL library or a texture, to a URL.
+ * @param {string} reference - The file name or relative URL, as written in the referencing file.
+ * @param {string} baseHref - URL of the referencing file.
+ * @param {Object} [fileSet=null] - Local files from `createFileSet` to resolve against instead of `baseHref`.
+ * @returns {string|null} The URL, or null if the file set lacks the file.
+ */
+const resolveFileReference = (reference, baseHref, fileSet = null) => {
+  return fileSet ? fileSet.resolve(reference) : new URL(reference, new URL(baseHref, window.location.href)).href;
+};
@@ -0,0 +1,104 @@
+"use strict";
+
+/** Number of light slots in the fragment shader's light arrays */
+const MAX_LIGHTS = 8;
+
+/** Light type ids used in the `u_lightType` uniform array */
+const LIGHT_TYPES = {
+  directional: 0,
+  point: 1,
+  spot: 2,
+};
+
+/**
+ * Creates a light description with defaults filled in.
+ * @param {Object} light - Light settings.
+ * @param {string} [light.type='directional'] - `directional`, `point`, `spot` or `ambient`.
+ * @param {number[]} [light.color=[1, 1, 1]] - Linear RGB color.
+ * @param {number} [light.intensity=1] - Multiplier for the color.
+ * @param {number[]} [light.position=[0, 0, 0]] - World position of point and spot lights.
+ * @param {number[]} [light.direction=[0, -1, 0]] - Direction directional and spot lights shine in.
+ * @param {number} [light.range=0] - Distance at which point and spot lights fade out; 0 means no limit.
+ * @param {number} [light.innerConeAngle=0] - Spot angle in radians with full intensity.
+ * @param {number} [light.outerConeAngle=Math.PI / 4] - Spot angle in radians where the light ends.
+ * @param {boolean} [light.castShadow=false] - Render a shadow map for this directional or spot light.
+ * @param {number} [light.shadowBias=0.002] - Depth offset against shadow acne, grown on surfaces facing away from the light.
+ * @param {number} [light.shadowMapSize=1024] - Width and height of the shadow map in pixels.
+ * @param {number} [light.shadowRadius=1] - PCF filter radius in shadow map texels; 0 gives hard edges.
+ * @returns {Object} The light.
+ */
+const createLight = ({
+  type = 'directional',
+  color = [1, 1, 1],
+  intensity = 1,
+  position = [0, 0, 0],
+  direction = [0, -1, 0],
+  range = 0,
+  innerConeAngle = 0,
+  outerConeAngle = Math.PI / 4,
+  castShadow = false,
+  shadowBias = 0.002,
+  shadowMapSize = 1024,
+  shadowRadius = 1,
+} = {}) => {
+  return {
+    type,
+    color,
+    intensity,
+    position,
+    direction: m4.normalize(direction, [0, -1, 0]),
+    range,
+    innerConeAngle,
+    outerConeAngle,
+    castShadow,
+    shadowBias,
+    shadowMapSize,
+    shadowRadius,
+  };
+};
+
+/**
+ * Packs a light list into the shader's light uniforms.
+ * Ambient lights are summed into `u_ambientLight`; the others fill the
+ * `u_light*` arrays, and lights beyond `MAX_LIGHTS` are ignored with a warning.
+ * @param {Array<Object>} lights - Lights from `createLight`.
+ * @param {Map<Object, number>} [lightShadows] - Shadow map slot of each shadowed light, from `renderShadowMaps`.
+ * @returns {Object} Uniform values for `setUniforms`.
+ */
+const getLightUniforms = (lights, lightShadows = new Map()) => {
+  const ambient = [0, 0, 0];
+  const activeLights = [];
+
+  lights.forEach((light) => {
+    const radiance = light.color.map(c => c * light.intensity);
+    if (light.type === 'ambient') {
+      m4.addVectors(ambient, radiance, ambient);
+    } else if (LIGHT_TYPES[light.type] === undefined) {
+      console.warn(`Unknown light type ${light.type}`);
+    } else {
+      const shadow = lightShadows.has(light) ? lightShadows.get(light) : -1;
+      activeLights.push({ ...light, radiance, shadow });
+    }
+  });
+
+  if (activeLights.length > MAX_LIGHTS) {
+    console.warn(`Only the first ${MAX_LIGHTS} of ${activeLights.length} lights are used`);
+    activeLights.length = MAX_LIGHTS;
+  }
+
+  // Arrays are padded to MAX_LIGHTS so every slot is written
+  const slot = (i, getValue, empty) => (i < activeLights.length ? getValue(activeLights[i]) : empty);
+  const slots = Array.from({ length: MAX_LIGHTS }, (_, i) => i);
+
+  return {
+    u_ambientLight: ambient,
+    u_lightCount: activeLights.length,
+    u_lightType: slots.map(i => slot(i, light => LIGHT_TYPES[light.type], 0)),
+    u_lightColor: slots.flatMap(i => slot(i, light => light.radiance, [0, 0, 0])),
+    u_lightPosition: slots.flatMap(i => slot(i, light => light.position, [0, 0, 0])),
+    u_lightDirection: slots.flatMap(i => slot(i, light => light.direction, [0, -1, 0])),
+    u_lightRange: slots.map(i => slot(i, light => light.range, 0)),
+    u_lightCone: slots.flatMap(i => slot(i, light => [Math.cos(light.innerConeAngle), Math.cos(light.outerConeAngle)], [1, 0])),
+    u_lightShadow: slots.map(i => slot(i, light => light.shadow, -1)),
+  };
+};
@@ -5,21 +5,31 @@
  */
 async function main() {
   const canvas = document.querySelector("#canvas");
-  const gl = canvas.getContext("webgl");
+  const gl = getWebGLContext(canvas);
   if (!gl) return;
 
+  // WebGL1 only guarantees 8 texture units, fewer than every material map plus the shadow maps
+  const reducedMaps = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS) < MATERIAL_MAPS.length + MAX_SHADOW_MAPS;
+  if (reducedMaps) {
+    console.warn(`Too few texture units for every material map; ${OPTIONAL_MATERIAL_MAPS.join(', ')} are ignored`);
+  }
+
   const vs = `
   attribute vec4 a_position;
   attribute vec3 a_normal;
+  attribute vec4 a_tangent;
   attribute vec2 a_texcoord;
   attribute vec4 a_color;
 
   uniform mat4 u_projection;
   uniform mat4 u_view;
   uniform mat4 u_world;
+  uniform mat3 u_normalMatrix;
   uniform vec3 u_viewWorldPosition;
 
   varying vec3 v_normal;
+  varying vec4 v_tangent;
+  varying vec3 v_worldPosition;
   varying vec3 v_surfaceToView;
   varying vec2 v_texcoord;
   varying vec4 v_color;
@@ -27,17 +37,26 @@ async function main() {
   void main() {
     vec4 worldPosition = u_world * a_position;
     gl_Position = u_projection * u_view * worldPosition;
+    v_worldPosition = worldPosition.xyz;
     v_surfaceToView = u_viewWorldPosition - worldPosition.xyz;
-    v_normal = mat3(u_world) * a_normal;
+    v_normal = u_normalMatrix * a_normal;
+    v_tangent = vec4(mat3(u_world) * a_tangent.xyz, a_tangent.w);
     v_texcoord = a_texcoord;
     v_color = a_color;
+    gl_PointSize = 3.0;
   }
   `;
 
   const fs = `
   precision highp float;
 
+  #define MAX_LIGHTS ${MAX_LIGHTS}
+  #define MAX_SHADOW_MAPS ${MAX_SHADOW_MAPS}
+  ${reducedMaps ? '#define REDUCED_MAPS' : ''}
+
   varying vec3 v_normal;
+  varying vec4 v_tangent;
+  varying vec3 v_worldPosition;
   varying vec3 v_surfaceToView;
   varying vec2 v_texcoord;
   varying vec4 v_color;
@@ -46,78 +65,747 @@ async function main() {
   uniform sampler2D diffuseMap;
   uniform vec3 ambient;
   uniform vec3 emissive;
+  uniform sampler2D emissiveMap;
   uniform vec3 specular;
   uniform sampler2D specularMap;
   uniform float shininess;
   uniform float opacity;
-  uniform vec3 u_lightDirection;
+  uniform sampler2D opacityMap;
+  uniform float alphaCutoff;
+  uniform sampler2D normalMap;
+  uniform float bumpMultiplier;
+  uniform float useReflectionMap;
+  uniform int shadingModel;
+  uniform float fresnel;
+  uniform float roughness;
+  uniform float metallic;
+  uniform float sheen;
+  uniform float clearcoat;
+  uniform float clearcoatRoughness;
   uniform vec3 u_ambientLight;
 
-  void main () {
+  // Output of the render mode (see RENDER_MODES in main.js)
+  uniform int u_renderMode;
+  const int RENDER_SHADED = 0;
+  const int RENDER_UNLIT = 1;
+  const int RENDER_NORMALS = 2;
+
+  // Light list from getLightUniforms; colors are premultiplied by intensity,
+  // directions point the way the light shines and cones hold cos(inner), cos(outer)
+  uniform int u_lightCount;
+  uniform int u_lightType[MAX_LIGHTS];
+  uniform vec3 u_lightColor[MAX_LIGHTS];
+  uniform vec3 u_lightPosition[MAX_LIGHTS];
+  uniform vec3 u_lightDirection[MAX_LIGHTS];
+  uniform float u_lightRange[MAX_LIGHTS];
+  uniform vec2 u_lightCone[MAX_LIGHTS];
+  uniform int u_lightShadow[MAX_LIGHTS];
+
+  // Shadow maps from renderShadowMaps; u_lightShadow holds each light's slot or -1
+  uniform sampler2D u_shadowMap[MAX_SHADOW_MAPS];
+  uniform mat4 u_shadowMatrix[MAX_SHADOW_MAPS];
+  uniform float u_shadowBias[MAX_SHADOW_MAPS];
+  uniform float u_shadowTexelRadius[MAX_SHADOW_MAPS];
+
+  const int LIGHT_DIRECTIONAL = 0;
+  const int LIGHT_POINT = 1;
+  const int LIGHT_SPOT = 2;
+
+  // Direction from the surface to a light and the light's attenuated color there
+  void evaluateLight(int type, vec3 color, vec3 position, vec3 direction, float range, vec2 cone,
+                     out vec3 toLight, out vec3 radiance) {
+    if (type == LIGHT_DIRECTIONAL) {
+      toLight = -direction;
+      radiance = color;
+      return;
+    }
+
+    vec3 surfaceToLight = position - v_worldPosition;
+    float distance = length(surfaceToLight);
+    toLight = surfaceToLight / max(distance, 1e-4);
+
+    // Inverse-square falloff, smoothly cut to zero at the range
+    float attenuation = 1.0 / max(distance * distance, 1e-4);
+    if (range > 0.0) {
+      float ratio = distance / range;
+      attenuation *= pow(clamp(1.0 - ratio * ratio * ratio * ratio, 0.0, 1.0), 2.0);
+    }
+
+    if (type == LIGHT_SPOT) {
+      attenuation *= smoothstep(cone.y, cone.x, dot(-toLight, direction));
+    }
+
+    radiance = color * attenuation;
+  }
+
+  float unpackDepth(vec4 color) {
+    return dot(color, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0, 1.0 / 16581375.0));
+  }
+
+  // Fraction of a 3x3 PCF kernel around this fragment that the light reaches
+  float sampleShadowMap(sampler2D shadowMap, mat4 shadowMatrix, float bias, float texelRadius) {
+    vec4 shadowCoord = shadowMatrix * vec4(v_worldPosition, 1.0);
+    if (shadowCoord.w <= 0.0) return 1.0;
+
+    vec3 projected = shadowCoord.xyz / shadowCoord.w;
+    if (any(lessThan(projected, vec3(0.0))) || any(greaterThan(projected, vec3(1.0)))) return 1.0;
+
+    float lit = 0.0;
+    for (int x = -1; x <= 1; ++x) {
+      for (int y = -1; y <= 1; ++y) {
+        float depth = unpackDepth(texture2D(shadowMap, projected.xy + vec2(x, y) * texelRadius));
+        lit += projected.z - bias > depth ? 0.0 : 1.0;
+      }
+    }
+    return lit / 9.0;
+  }
+
+  // Shadow factor of a light; samplers can only be indexed by loop indices, hence the search
+  float getShadow(int shadow, float NdotL) {
+    for (int i = 0; i < MAX_SHADOW_MAPS; ++i) {
+      if (i == shadow) {
+        float bias = u_shadowBias[i] * (3.0 - 2.0 * clamp(NdotL, 0.0, 1.0));
+        return sampleShadowMap(u_shadowMap[i], u_shadowMatrix[i], bias, u_shadowTexelRadius[i]);
+      }
+    }
+    return 1.0;
+  }
+
+  // MTL texture options: xy scale and zw offset of each map's coordinates (-s, -o),
+  // the channel read from scalar maps (-imfchan) and their base and gain (-mm)
+  uniform vec4 diffuseMapTransform;
+  uniform vec4 ambientMapTransform;
+  uniform vec4 emissiveMapTransform;
+  uniform vec4 specularMapTransform;
+  uniform vec4 shininessMapTransform;
+  uniform vec4 opacityMapTransform;
+  uniform vec4 normalMapTransform;
+  uniform vec4 bumpMapTransform;
+  uniform vec4 roughnessMapTransform;
+  uniform vec4 metallicMapTransform;
+  uniform vec4 shininessMapChannel;
+  uniform vec4 opacityMapChannel;
+  uniform vec4 bumpMapChannel;
+  uniform vec4 roughnessMapChannel;
+  uniform vec4 metallicMapChannel;
+  uniform vec2 shininessMapRange;
+  uniform vec2 opacityMapRange;
+  uniform vec2 bumpMapRange;
+  uniform vec2 roughnessMapRange;
+  uniform vec2 metallicMapRange;
+
+  vec2 mapUV(vec4 transform) {
+    return v_texcoord * transform.xy + transform.zw;
+  }
+
+  // Less common maps, left out on devices with too few texture units (see OPTIONAL_MATERIAL_MAPS in main.js);
+  // sampleOptionalMap reads them as white then
+  #ifdef REDUCED_MAPS
+  #define sampleOptionalMap(map, uv) vec4(1.0)
+  #else
+  uniform sampler2D ambientMap;
+  uniform sampler2D shininessMap;
+  uniform sampler2D bumpMap;
+  uniform sampler2D reflectionMap;
+  uniform sampler2D roughnessMap;
+  uniform sampler2D metallicMap;
+  #define sampleOptionalMap(map, uv) texture2D(map, uv)
+  #endif
+
+  float readChannel(vec4 texel, vec4 channel, vec2 range) {
+    return range.x + range.y * dot(texel, channel);
+  }
+
+  // Shading variants picked from the MTL illum model (see ILLUM_MODELS in main.js)
+  const int SHADING_COLOR = 0;
+  const int SHADING_LAMBERT = 1;
+  const int SHADING_BLINN_PHONG = 2;
+  const int SHADING_REFLECTION = 3;
+  const int SHADING_GLASS = 4;
+  const int SHADING_PBR = 5;
+
+  // Color seen in a reflected direction: the sphere-mapped reflection map, or a sky gradient without one
+  vec3 getEnvironmentColor(vec3 direction) {
+  #ifndef REDUCED_MAPS
+    if (useReflectionMap > 0.5) {
+      float m = 2.0 * sqrt(direction.x * direction.x + direction.y * direction.y + (direction.z + 1.0) * (direction.z + 1.0));
+      return texture2D(reflectionMap, direction.xy / m + 0.5).rgb;
+    }
+  #endif
+    return mix(vec3(0.3, 0.25, 0.2), vec3(0.6, 0.7, 0.9), direction.y * 0.5 + 0.5);
+  }
+
+  const float PI = 3.14159265;
+
+  // Share of the environment color used as image-based light in the PBR path
+  const float ENVIRONMENT_INTENSITY = 0.5;
+
+  float distributionGGX(float NdotH, float alpha) {
+    float alpha2 = alpha * alpha;
+    float d = NdotH * NdotH * (alpha2 - 1.0) + 1.0;
+    return alpha2 / (PI * d * d);
+  }
+
+  float visibilitySmithGGX(float NdotL, float NdotV, float alpha) {
+    float alpha2 = alpha * alpha;
+    float ggxV = NdotL * sqrt(NdotV * NdotV * (1.0 - alpha2) + alpha2);
+    float ggxL = NdotV * sqrt(NdotL * NdotL * (1.0 - alpha2) + alpha2);
+    return 0.5 / max(ggxV + ggxL, 1e-5);
+  }
+
+  vec3 fresnelSchlick(vec3 f0, float cosTheta) {
+    return f0 + (1.0 - f0) * pow(1.0 - cosTheta, 5.0);
+  }
+
+  // Metallic-roughness shading (MTL Pr/Pm extension) with optional clearcoat and sheen lobes
+  vec3 shadePBR(vec3 baseColor, vec3 normal, vec3 toView) {
+    float perceptualRoughness = clamp(roughness * readChannel(sampleOptionalMap(roughnessMap, mapUV(roughnessMapTransform)), roughnessMapChannel, roughnessMapRange), 0.04, 1.0);
+    float metalness = clamp(metallic * readChannel(sampleOptionalMap(metallicMap, mapUV(metallicMapTransform)), metallicMapChannel, metallicMapRange), 0.0, 1.0);
+    float alpha = perceptualRoughness * perceptualRoughness;
+    float clearcoatAlpha = max(clearcoatRoughness, 0.04) * max(clearcoatRoughness, 0.04);
+
+    vec3 f0 = mix(vec3(0.04), baseColor, metalness);
+    float NdotV = clamp(dot(normal, toView), 1e-4, 1.0);
+    vec3 color = vec3(0.0);
+
+    for (int i = 0; i < MAX_LIGHTS; ++i) {
+      if (i >= u_lightCount) break;
+
+      vec3 toLight;
+      vec3 radiance;
+      evaluateLight(u_lightType[i], u_lightColor[i], u_lightPosition[i], u_lightDirection[i], u_lightRange[i], u_lightCone[i], toLight, radiance);
+
+      vec3 halfVector = normalize(toLight + toView);
+      float NdotL = clamp(dot(normal, toLight), 0.0, 1.0);
+      float NdotH = clamp(dot(normal, halfVector), 0.0, 1.0);
+      float VdotH = clamp(dot(toView, halfVector), 0.0, 1.0);
+      radiance *= getShadow(u_lightShadow[i], NdotL);
+
+      vec3 F = fresnelSchlick(f0, VdotH);
+      vec3 specularTerm = F * distributionGGX(NdotH, alpha) * visibilitySmithGGX(NdotL, NdotV, alpha);
+      vec3 diffuseTerm = (1.0 - F) * (1.0 - metalness) * baseColor / PI;
+      vec3 lightColor = (diffuseTerm + specularTerm) * PI + sheen * baseColor * pow(1.0 - NdotV, 5.0);
+
+      float clearcoatF = fresnelSchlick(vec3(0.04), VdotH).r * clearcoat;
+      float clearcoatSpecular = distributionGGX(NdotH, clearcoatAlpha) * visibilitySmithGGX(NdotL, NdotV, clearcoatAlpha);
+      lightColor = lightColor * (1.0 - clearcoatF) + clearcoatF * clearcoatSpecular * PI;
+
+      color += lightColor * radiance * NdotL;
+    }
+
+    // Image-based light from the environment; rough surfaces see a dimmer reflection
+    vec3 environmentF = fresnelSchlick(f0, NdotV);
+    color += getEnvironmentColor(normal) * baseColor * (1.0 - metalness) * ENVIRONMENT_INTENSITY;
+    color += getEnvironmentColor(reflect(-toView, normal)) * environmentF * (1.0 - perceptualRoughness * 0.7) * ENVIRONMENT_INTENSITY;
+
+    return color;
+  }
+
+  // Texture-space step used to take the slope of the bump (height) map,
+  // and the factor turning height differences into a tangent-space slope
+  const float BUMP_STEP = 1.0 / 1024.0;
+  const float BUMP_SCALE = 16.0;
+
+  // Perturbs the interpolated normal by the normal map and the bump map
+  vec3 getSurfaceNormal() {
     vec3 normal = normalize(v_normal);
 
-    vec3 surfaceToViewDirection = normalize(v_surfaceToView);
-    vec3 halfVector = normalize(u_lightDirection + surfaceToViewDirection);
+    vec3 tangent = v_tangent.xyz - dot(v_tangent.xyz, normal) * normal;
+    if (dot(tangent, tangent) < 1e-8) {
+      tangent = cross(normal, abs(normal.x) < 0.9 ? vec3(1, 0, 0) : vec3(0, 1, 0));
+    }
+    tangent = normalize(tangent);
+    vec3 bitangent = cross(normal, tangent) * v_tangent.w;
 
-    float fakeLight = dot(u_lightDirection, normal) * 0.5 + 0.5;
+    vec3 mapNormal = texture2D(normalMap, mapUV(normalMapTransform)).rgb * 2.0 - 1.0;
 
-    // Phong specular reflection calculation
-    float specularLight = clamp(dot(normal, halfVector), 0.0, 1.0);
-    vec4 specularMapColor = texture2D(specularMap, v_texcoord);
-    vec3 effectiveSpecular = specular * specularMapColor.rgb;
+    vec2 bumpUV = mapUV(bumpMapTransform);
+    float height = readChannel(sampleOptionalMap(bumpMap, bumpUV), bumpMapChannel, bumpMapRange);
+    float heightU = readChannel(sampleOptionalMap(bumpMap, bumpUV + vec2(BUMP_STEP, 0.0)), bumpMapChannel, bumpMapRange);
+    float heightV = readChannel(sampleOptionalMap(bumpMap, bumpUV + vec2(0.0, BUMP_STEP)), bumpMapChannel, bumpMapRange);
+    vec3 bumpSlope = vec3(height - heightU, height - heightV, 0.0) * BUMP_SCALE * bumpMultiplier;
+    mapNormal = normalize(mapNormal + bumpSlope);
 
-    // store the specular highlight (Phong reflection)
-    float specularHighlight = pow(specularLight, shininess);
+    return normalize(mat3(tangent, bitangent, normal) * mapNormal);
+  }
+
+  void main () {
+    vec3 normal = getSurfaceNormal();
+
+    vec3 surfaceToViewDirection = normalize(v_surfaceToView);
+
+    vec4 specularMapColor = texture2D(specularMap, mapUV(specularMapTransform));
+    vec3 effectiveSpecular = specular * specularMapColor.rgb;
+    float effectiveShininess = shininess * readChannel(sampleOptionalMap(shininessMap, mapUV(shininessMapTransform)), shininessMapChannel, shininessMapRange);
 
     // Diffuse lighting
-    vec4 diffuseMapColor = texture2D(diffuseMap, v_texcoord);
+    vec4 diffuseMapColor = texture2D(diffuseMap, mapUV(diffuseMapTransform));
     vec3 effectiveDiffuse = diffuse * diffuseMapColor.rgb * v_color.rgb;
-    float effectiveOpacity = opacity * diffuseMapColor.a * v_color.a;
+    float effectiveOpacity = opacity * diffuseMapColor.a * v_color.a *
+        readChannel(texture2D(opacityMap, mapUV(opacityMapTransform)), opacityMapChannel, opacityMapRange);
+
+    // Alpha-tested surfaces such as foliage are either fully opaque or cut out
+    if (alphaCutoff > 0.0) {
+      if (effectiveOpacity < alphaCutoff) discard;
+      effectiveOpacity = 1.0;
+    }
+
+    vec3 effectiveAmbient = ambient * sampleOptionalMap(ambientMap, mapUV(ambientMapTransform)).rgb;
+    vec3 effectiveEmissive = emissive * texture2D(emissiveMap, mapUV(emissiveMapTransform)).rgb;
+
+    if (u_renderMode == RENDER_NORMALS) {
+      gl_FragColor = vec4(normal * 0.5 + 0.5, 1.0);
+      return;
+    }
+
+    if (shadingModel == SHADING_COLOR || u_renderMode == RENDER_UNLIT) {
+      gl_FragColor = vec4(effectiveEmissive + effectiveDiffuse, effectiveOpacity);
+      return;
+    }
+
+    if (shadingModel == SHADING_PBR) {
+      vec3 pbrColor = shadePBR(effectiveDiffuse, normal, surfaceToViewDirection);
+      gl_FragColor = vec4(effectiveEmissive + pbrColor, effectiveOpacity);
+      return;
+    }
+
+    // Lambert diffuse and Blinn-Phong specular light summed over all lights
+    vec3 diffuseLight = vec3(0.0);
+    vec3 specularLight = vec3(0.0);
+    for (int i = 0; i < MAX_LIGHTS; ++i) {
+      if (i >= u_lightCount) break;
+
+      vec3 toLight;
+      vec3 radiance;
+      evaluateLight(u_lightType[i], u_lightColor[i], u_lightPosition[i], u_lightDirection[i], u_lightRange[i], u_lightCone[i], toLight, radiance);
+
+      float NdotL = dot(normal, toLight);
+      if (NdotL <= 0.0) continue;
+      radiance *= getShadow(u_lightShadow[i], NdotL);
+
+      diffuseLight += radiance * NdotL;
+      vec3 halfVector = normalize(toLight + surfaceToViewDirection);
+      specularLight += radiance * pow(clamp(dot(normal, halfVector), 0.0, 1.0), effectiveShininess);
+    }
 
     // Final color calculation
-    vec3 finalSpecular = effectiveSpecular * specularHighlight;
+    vec3 finalSpecular = effectiveSpecular * specularLight;
+    vec3 color = effectiveEmissive + effectiveAmbient * u_ambientLight + effectiveDiffuse * diffuseLight;
+
+    if (shadingModel != SHADING_LAMBERT) {
+      color += finalSpecular;
+    }
 
-    gl_FragColor = vec4(
-        emissive +
-        ambient * u_ambientLight +
-        effectiveDiffuse * fakeLight +
-        finalSpecular,
-        effectiveOpacity
-    );
+    if (shadingModel == SHADING_REFLECTION || shadingModel == SHADING_GLASS) {
+      vec3 reflectance = effectiveSpecular;
+      if (fresnel > 0.5) {
+        float cosTheta = clamp(dot(normal, surfaceToViewDirection), 0.0, 1.0);
+        reflectance += (1.0 - reflectance) * pow(1.0 - cosTheta, 5.0);
+      }
+      color += getEnvironmentColor(reflect(-surfaceToViewDirection, normal)) * reflectance;
+    }
+
+    // Highlights on glass stay visible however transparent the surface is
+    if (shadingModel == SHADING_GLASS) {
+      effectiveOpacity = max(effectiveOpacity, max(finalSpecular.r, max(finalSpecular.g, finalSpecular.b)));
+    }
+
+    gl_FragColor = vec4(color, effectiveOpacity);
+  }
+  `;
+
+  // Depth pass rendering shadow maps from the lights' point of view
+  const shadowVs = `
+  attribute vec4 a_position;
+
+  uniform mat4 u_viewProjection;
+  uniform mat4 u_world;
+
+  void main() {
+    gl_Position = u_viewProjection * u_world * a_position;
+  }
+  `;
+
+  const shadowFs = `
+  precision highp float;
+
+  // Spreads depth over the four 8-bit channels of the shadow map
+  vec4 packDepth(float depth) {
+    vec4 encoded = fract(vec4(1.0, 255.0, 65025.0, 16581375.0) * depth);
+    return encoded - encoded.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+  }
+
+  void main() {
+    gl_FragColor = packDepth(gl_FragCoord.z);
+  }
+  `;
+
+  // ID pass for picking; a_pickColor is constant per part or varies per triangle
+  const pickVs = `
+  attribute vec4 a_position;
+  attribute vec4 a_pickColor;
+
+  uniform mat4 u_projection;
+  uniform mat4 u_view;
+  uniform mat4 u_world;
+
+  varying vec4 v_pickColor;
+
+  void main() {
+    gl_Position = u_projection * u_view * u_world * a_position;
+    v_pickColor = a_pickColor;
+    gl_PointSize = 3.0;
+  }
+  `;
+
+  const pickFs = `
+  precision mediump float;
+
+  varying vec4 v_pickColor;
+
+  void main() {
+    gl_FragColor = v_pickColor;
   }
   `;
 
   // Create a program and Initialize & Compile the shaders
   const Program = createProgram(gl, vs, fs);
+  const ShadowProgram = createProgram(gl, shadowVs, shadowFs);
+  const PickProgram = createProgram(gl, pickVs, pickFs);
 
-  // Load and Parse the object file and materials into javascript objects
-  const objHref = 'duck_final.obj';
-  const obj = await loadOBJ(gl, objHref);                  
-  const materials = await loadMaterials(gl, obj, objHref);
+  // Values applied to every material on top of the model's own, e.g. { shininess: 25 } or { alphaCutoff: 0.5 }
+  const materialOverrides = {};
+
+  // Model, camera and render settings can come from the URL (see parseViewParams),
+  // e.g. ?model=models/chair.glb&camera=0,2,5&target=0,0.5,0&fov=45&background=202020&render=wireframe
+  const viewParams = parseViewParams(window.location.href, Object.keys(RENDER_MODES));
+  const viewSettings = {
+    background: viewParams.background || [0, 0, 0, 0],
+    renderMode: viewParams.renderMode || 'shaded',
+  };
+
+  // Messages for the user, such as the picked part and load results
+  const status = document.querySelector('#status');
+
+  // The loader follows the file extension: .obj, .gltf, .glb, .stl or .ply
+  const defaultModelHref = 'duck_final.obj';
+  // URL parameters of the shown model; dropped files have none, so links then leave the model out
+  let modelParams = { model: viewParams.model || null, mtl: viewParams.mtl || null };
+  let duck;
+  try {
+    duck = await loadModel(gl, modelParams.model || defaultModelHref, Program, { mtlHref: modelParams.mtl, materialOverrides });
+  } catch (error) {
+    // A broken link falls back to the default model; the default model failing is not recoverable
+    if (!modelParams.model && !modelParams.mtl) throw error;
+    console.error(error);
+    status.textContent = `Could not load ${modelParams.model || modelParams.mtl}: ${error.message}; showing ${defaultModelHref} instead`;
+    modelParams = { model: null, mtl: null };
+    duck = await loadModel(gl, defaultModelHref, Program, { materialOverrides });
+  }
 
-  // Get geometries extend and setup the camera and parts of geometry
-  const extents = getGeometriesExtents(obj.geometries);
-  const cameraInfo = setupCamera(extents);
-  const parts = setupGeometry(gl, obj, materials);
+  // Models are placed by scene nodes; several nodes can share one loaded model.
+  // Sub-parts are found by OBJ object and group, e.g. findSceneNode(scene, 'duck/default/default')
+  const scene = createSceneNode({ name: 'scene' });
+  const cameraInfo = setupCamera(duck.extents);
+  cameraInfo.fieldOfView = viewParams.fieldOfView || cameraInfo.fieldOfView;
+  let modelNode = createModelNode(duck, { name: 'duck', translation: cameraInfo.objOffset, parent: scene });
+  updateWorldMatrices(scene);
+
+  // Orbit/pan/zoom around the scene
+  const cameraController = createCameraController(canvas, cameraInfo, {
+    fieldOfView: cameraInfo.fieldOfView,
+    autoRotate: true,
+  });
+  cameraController.frame(getSceneExtents(scene));
+  if (viewParams.cameraPosition || viewParams.cameraTarget) {
+    cameraController.setView(viewParams.cameraPosition, viewParams.cameraTarget);
+  }
+
+  // Key, fill and rim lights plus a little ambient light
+  const lights = [
+    createLight({ type: 'ambient', intensity: 0.15 }),
+    createLight({ type: 'directional', direction: [1, -3, -5], intensity: 1, castShadow: true }),
+    createLight({ type: 'directional', direction: [4, -1, -2], color: [0.8, 0.85, 1], intensity: 0.4 }),
+    createLight({ type: 'directional', direction: [0, -2, 4], intensity: 0.5 }),
+  ];
+
+  // Click to select a part; drags that orbit the camera don't count as clicks
+  let selection = null;
+  let pointerDown = null;
+  canvas.addEventListener('pointerdown', (event) => {
+    pointerDown = { x: event.clientX, y: event.clientY };
+  });
+  canvas.addEventListener('click', (event) => {
+    if (pointerDown && Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y) > 3) return;
+
+    selection = pickScene(gl, PickProgram, scene, cameraInfo, event.clientX, event.clientY);
+    if (selection) {
+      const { node, object, groups, material, triangle } = selection;
+      status.textContent = `Picked ${node.name}: object ${object}, groups ${groups.join(' ')}, material ${material}, triangle ${triangle}`;
+
+      // The exact surface point, e.g. for measuring between clicks
+      const hit = raycastScene(scene, getCanvasRay(gl, cameraInfo, event.clientX, event.clientY));
+      if (hit) {
+        status.textContent += `; surface point ${hit.point.map(v => v.toFixed(3)).join(', ')} at distance ${hit.distance.toFixed(3)}`;
+      }
+    }
+  });
+
+  /**
+   * Replaces the displayed model and frames the camera on it.
+   * @param {Object} model - The model from `loadModel`.
+   * @param {string} name - Name of the new scene node.
+   */
+  const showModel = (model, name) => {
+    setParent(modelNode, null);
+    modelNode = createModelNode(model, { name, translation: setupCamera(model.extents).objOffset, parent: scene });
+    updateWorldMatrices(scene);
+    selection = null;
+    cameraController.frame(getSceneExtents(scene));
+  };
+
+  // Drop a model with its MTL, textures or glTF buffers onto the canvas, or pick them with the file input.
+  // References inside the files are matched to the others by file name
+  let fileSet = null;
+
+  /**
+   * Loads the first model file among a set of local files, resolving its references against the rest.
+   * @param {FileList|File[]} files - The files.
+   */
+  const loadFiles = async (files) => {
+    const nextFileSet = createFileSet(files);
+    const modelFile = nextFileSet.files.find(file => MODEL_LOADERS[getFileExtension(file.name)]);
+    if (!modelFile) {
+      status.textContent = `No model file among ${nextFileSet.files.map(file => file.name).join(', ')}; expected .${Object.keys(MODEL_LOADERS).join(', .')}`;
+      return;
+    }
+
+    status.textContent = `Loading ${modelFile.name}...`;
+    try {
+      const model = await loadModel(gl, modelFile.name, Program, { materialOverrides, fileSet: nextFileSet });
+      if (fileSet) fileSet.revoke();
+      fileSet = nextFileSet;
+      showModel(model, modelFile.name);
+      modelParams = { model: null, mtl: null };
+
+      const missing = Array.from(fileSet.missing);
+      if (missing.length) {
+        console.warn(`${modelFile.name}: missing referenced files ${missing.join(', ')}`);
+        status.textContent = `Loaded ${modelFile.name}; missing referenced files: ${missing.join(', ')}`;
+      } else {
+        status.textContent = `Loaded ${modelFile.name}`;
+      }
+    } catch (error) {
+      nextFileSet.revoke();
+      console.error(error);
+      status.textContent = `Could not load ${modelFile.name}: ${error.message}`;
+    }
+  };
+
+  canvas.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  });
+  canvas.addEventListener('drop', (event) => {
+    event.preventDefault();
+    loadFiles(event.dataTransfer.files);
+  });
+  document.querySelector('#fileInput').addEventListener('change', (event) => {
+    loadFiles(event.target.files);
+  });
+
+  // Keep the URL reproducing the current view. It is rewritten at most once a
+  // second, as browsers limit how often the history may be replaced
+  let urlUpdated = 0;
+  const updateViewUrl = (time) => {
+    if (time - urlUpdated < 1) return;
+    urlUpdated = time;
+
+    const href = formatViewUrl(window.location.href, {
+      ...modelParams,
+      cameraPosition: cameraInfo.cameraPosition,
+      cameraTarget: cameraInfo.cameraTarget,
+      fieldOfView: cameraInfo.fieldOfView,
+      background: viewParams.background,
+      renderMode: viewParams.renderMode,
+    });
+    if (href !== window.location.href) {
+      window.history.replaceState(null, '', href);
+    }
+  };
 
   // Draw the scene
+  let then = 0;
   function render(time) {
-    drawScene(gl, Program, parts, cameraInfo, extents, time);
+    time *= 0.001;
+    const deltaTime = Math.min(time - then, 0.1);
+    then = time;
+
+    cameraController.update(deltaTime);
+    drawScene(gl, Program, scene, cameraInfo, lights, ShadowProgram, selection, viewSettings);
+    updateViewUrl(time);
     requestAnimationFrame(render);
   }
   requestAnimationFrame(render);
 }
 
+/**
+ * Loads a model file with its materials and uploads it for drawing.
+ * The file format is chosen by the file extension through `MODEL_LOADERS`.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {string} href - The URL to the model file.
+ * @param {WebGLProgram} [program] - Program whose attribute layout is recorded into each part's vertex array.
+ * @param {Object} [options] - Model options.
+ * @param {string} [options.mtlHref=null] - MTL file to use instead of an OBJ's `mtllib` references.
+ * @param {Object} [options.materialOverrides={}] - Values applied to every material on top of the file's materials.
+ * @param {Object} [options.fileSet=null] - Local files from `createFileSet`; `href` and the files it
+ *   references are then looked up by name among them instead of fetched relative to the page.
+ * @returns {Promise<Object>} The model's parts and object-space extents, for use as a scene node's `model`.
+ */
+const loadModel = async (gl, href, program, { mtlHref = null, materialOverrides = {}, fileSet = null } = {}) => {
+  const extension = getFileExtension(href);
+  const loader = MODEL_LOADERS[extension];
+  if (!loader) {
+    throw new Error(`Unsupported model format ".${extension}" of ${href}`);
+  }
+
+  const { geometries, materials } = await loader(gl, href, { mtlHref, materialOverrides, fileSet });
+  // An empty model has no extents to frame the camera around
+  if (!geometries.length) throw new Error(`${href} has no geometry`);
+
+  return {
+    parts: setupGeometry(gl, { geometries }, materials, program),
+    extents: getGeometriesExtents(geometries),
+  };
+};
+
+/**
+ * Gets the lowercase extension of the file a URL points at.
+ * @param {string} href - The URL.
+ * @returns {string} The extension without the dot, or an empty string.
+ */
+const getFileExtension = (href) => {
+  const { pathname } = new URL(href, window.location.href);
+  const match = /\.([^./]+)$/.exec(pathname);
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Loads an OBJ file and its material library.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {string} href - The URL to the OBJ file.
+ * @param {Object} options - The `mtlHref`, `materialOverrides` and `fileSet` given to `loadModel`.
+ * @returns {Promise<Object>} The geometries and materials for `setupGeometry`.
+ */
+const loadOBJModel = async (gl, href, { mtlHref, materialOverrides, fileSet }) => {
+  const obj = await loadOBJ(gl, href, { indexed: true }, fileSet);
+  const materials = await loadMaterials(gl, obj, href, mtlHref, materialOverrides, fileSet);
+  return { geometries: obj.geometries, materials };
+};
+
+/**
+ * Loads a glTF 2.0 file, either JSON (`.gltf`) with external or embedded
+ * buffers or binary (`.glb`), with its buffers and textures.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {string} href - The URL to the glTF file.
+ * @param {Object} options - The `materialOverrides` and `fileSet` given to `loadModel`.
+ * @returns {Promise<Object>} The geometries and materials for `setupGeometry`.
+ */
+const loadGLTF = async (gl, href, { materialOverrides, fileSet }) => {
+  const response = await fetch(resolveFileReference(href, window.location.href, fileSet));
+  if (!response.ok) throw new Error(`${href}: ${response.status}`);
+  const arrayBuffer = await response.arrayBuffer();
+
+  // Binary files start with the "glTF" magic; anything else is read as JSON
+  const isBinary = arrayBuffer.byteLength >= 4 && new DataView(arrayBuffer).getUint32(0, true) === 0x46546C67;
+  const { json, bin } = isBinary
+    ? ParseGlbFile(arrayBuffer)
+    : { json: JSON.parse(new TextDecoder().decode(arrayBuffer)), bin: null };
+
+  // A buffer without a URI is the GLB binary chunk; data: URIs are fetched like any other.
+  // Buffers missing from a file set stay null and the parser reports what needs them
+  const buffers = await Promise.all((json.buffers || []).map(async ({ uri }) => {
+    if (uri === undefined) {
+      return bin;
+    }
+    const bufferHref = resolveFileReference(uri, href, fileSet);
+    if (!bufferHref) {
+      return null;
+    }
+    const bufferResponse = await fetch(bufferHref);
+    if (!bufferResponse.ok) throw new Error(`${bufferHref}: ${bufferResponse.status}`);
+    return await bufferResponse.arrayBuffer();
+  }));
+
+  const gltf = ParseGltfFile(json, buffers);
+  reportDiagnostics(href, gltf.diagnostics);
+
+  // Images stored in buffers are handed to the texture loader as blob URLs
+  const imageHrefs = gltf.images.map(({ uri, data, mimeType }) => {
+    if (uri !== undefined) {
+      return resolveFileReference(uri, href, fileSet);
+    }
+    return data ? URL.createObjectURL(new Blob([data], { type: mimeType })) : null;
+  });
+  createMaterialTextures(gl, gltf.materials, image => imageHrefs[image]);
+  Object.values(gltf.materials).forEach(m => Object.assign(m, materialOverrides));
+
+  return { geometries: gltf.geometries, materials: gltf.materials };
+};
+
+/**
+ * Loads a mesh format without materials, such as STL or PLY. Its geometries
+ * use the `default` material, which only holds the material overrides.
+ * @param {string} href - The URL to the file.
+ * @param {Function} parse - Parser taking the file's ArrayBuffer, e.g. `ParseStlFile`.
+ * @param {Object} options - The `materialOverrides` and `fileSet` given to `loadModel`.
+ * @returns {Promise<Object>} The geometries and materials for `setupGeometry`.
+ */
+const loadMeshFile = async (href, parse, { materialOverrides, fileSet }) => {
+  const response = await fetch(resolveFileReference(href, window.location.href, fileSet));
+  if (!response.ok) throw new Error(`${href}: ${response.status}`);
+  const { geometries, diagnostics } = parse(await response.arrayBuffer());
+  reportDiagnostics(href, diagnostics);
+  return { geometries, materials: { default: { ...materialOverrides } } };
+};
+
+/** Model loaders keyed by file extension, each resolving to `{ geometries, materials }` */
+const MODEL_LOADERS = {
+  obj: loadOBJModel,
+  gltf: loadGLTF,
+  glb: loadGLTF,
+  stl: (gl, href, options) => loadMeshFile(href, ParseStlFile, options),
+  ply: (gl, href, options) => loadMeshFile(href, ParsePlyFile, options),
+};
+
 /**
  * Loads an OBJ file from a URL.
  * @param {WebGLRenderingContext} gl - The WebGL context.
- * @param {string} objHref - The URL to the OBJ file.
+ * @param {string} objHref - The URL to the OBJ file, or its name in `fileSet`.
+ * @param {Object} [options] - Options forwarded to `ParseObjFile`.
+ * @param {Object} [fileSet=null] - Local files from `createFileSet` to load from.
  * @returns {Promise<Object>} The parsed OBJ data.
  */
-const loadOBJ = async (gl, objHref) => {
-  const response = await fetch(objHref);
+const loadOBJ = async (gl, objHref, options = {}, fileSet = null) => {
+  const response = await fetch(resolveFileReference(objHref, window.location.href, fileSet));
+  if (!response.ok) throw new Error(`${objHref}: ${response.status}`);
   const text = await response.text();
-  return ParseObjFile(text);
+  const obj = ParseObjFile(text, options);
+  reportDiagnostics(objHref, obj.diagnostics);
+  return obj;
+};
+
+/**
+ * Logs parser diagnostics to the console.
+ * @param {string} href - The URL of the parsed file.
+ * @param {Array<Object>} diagnostics - Diagnostics returned by `ParseObjFile` or `ParseMaterialFile`
+ *   (with a `line` and `keyword`) or by `ParseGltfFile` (with a JSON `path`).
+ */
+const reportDiagnostics = (href, diagnostics) => {
+  diagnostics.forEach(({ severity, line, keyword, path, message }) => {
+    const log = severity === 'error' ? console.error : console.warn;
+    log(path !== undefined ? `${href} ${path}: ${message}` : `${href}:${line} ${keyword}: ${message}`);
+  });
 };
 
 /**
@@ -126,42 +814,71 @@ const loadOBJ = async (gl, objHref) => {
  * @param {Object} obj - Parsed OBJ data.
  * @param {string} objHref - The URL to the OBJ file.
  * @param {string} [mtlHref] - The optional URL to the MTL file.
+ * @param {Object} [overrides] - Material properties that replace the MTL values of every material.
+ * @param {Object} [fileSet=null] - Local files from `createFileSet` that libraries and textures are looked up in.
  * @returns {Promise<Object>} The parsed material data with textures.
  */
-const loadMaterials = async (gl, obj, objHref, mtlHref = null) => {
-  const baseHref = new URL(objHref, window.location.href);
-  const materialHrefs = mtlHref ? [mtlHref] : obj.materialLibs.map(filename => new URL(filename, baseHref).href);
+const loadMaterials = async (gl, obj, objHref, mtlHref = null, overrides = {}, fileSet = null) => {
+  // Libraries missing from a file set are skipped; the file set records them
+  const libraries = (mtlHref ? [mtlHref] : obj.materialLibs)
+    .map(filename => ({
+      filename,
+      href: resolveFileReference(filename, mtlHref ? window.location.href : objHref, fileSet),
+    }))
+    .filter(({ href }) => href);
 
-  const matTexts = await Promise.all(materialHrefs.map(async href => {
+  const matTexts = await Promise.all(libraries.map(async ({ href }) => {
     const response = await fetch(href);
+    if (!response.ok) throw new Error(`${href}: ${response.status}`);
     return await response.text();
   }));
 
-  const materials = ParseMaterialFile(matTexts.join('\n'));
-  const textures = { defaultWhite: create1PixelTexture(gl, [255, 255, 255, 255]) };
+  // Parse each library separately so diagnostics point at the right file and line
+  const materials = {};
+  matTexts.forEach((text, i) => {
+    const parsed = ParseMaterialFile(text);
+    reportDiagnostics(libraries[i].filename, parsed.diagnostics);
+    Object.assign(materials, parsed.materials);
+  });
+  createMaterialTextures(gl, materials, filename => resolveFileReference(filename, objHref, fileSet));
+  Object.values(materials).forEach(m => Object.assign(m, overrides));
+
+  return materials;
+};
+
+/**
+ * Replaces the texture references in the `<name>Map` properties of materials with textures.
+ * Materials sharing a reference share the texture.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {Object} materials - Materials keyed by name, changed in place.
+ * @param {Function} getHref - Turns a reference, e.g. an MTL file name, into an image URL;
+ *   maps whose reference has no URL are removed.
+ */
+const createMaterialTextures = (gl, materials, getHref) => {
+  const textures = {};
 
   for (const material of Object.values(materials)) {
     Object.entries(material)
       .filter(([key]) => key.endsWith('Map'))
-      .forEach(([key, filename]) => {
-        let texture = textures[filename];
+      .forEach(([key, reference]) => {
+        // Wrap mode lives on the texture, so clamped and repeating uses need separate textures
+        const { clamp = false } = material[`${key}Options`] || {};
+        const textureKey = clamp ? `${reference}|clamp` : reference;
+        let texture = textures[textureKey];
 
         if (!texture) {
-          const textureHref = new URL(filename, baseHref).href;
-          texture = createTexture(gl, textureHref);
-          textures[filename] = texture;
+          const textureHref = getHref(reference);
+          if (!textureHref) {
+            delete material[key];
+            return;
+          }
+          texture = createTexture(gl, textureHref, { clamp });
+          textures[textureKey] = texture;
         }
 
         material[key] = texture;
       });
   }
-  
-  Object.values(materials).forEach(m => {
-    m.shininess = 25;
-    m.specular = [3, 2, 1];
-  });
-
-  return materials;
 };
 
 /**
@@ -201,10 +918,168 @@ const getExtents = (positions) => {
   return { min, max };
 };
 
+/** Material maps sampled by the fragment shader */
+const MATERIAL_MAPS = [
+  'diffuseMap',
+  'ambientMap',
+  'emissiveMap',
+  'specularMap',
+  'shininessMap',
+  'opacityMap',
+  'normalMap',
+  'bumpMap',
+  'reflectionMap',
+  'roughnessMap',
+  'metallicMap',
+];
+
+/**
+ * Material maps the fragment shader leaves out (reading them as white) when the device
+ * lacks texture units for all of them; the rest plus the shadow maps fit in 8 units.
+ */
+const OPTIONAL_MATERIAL_MAPS = ['ambientMap', 'shininessMap', 'bumpMap', 'reflectionMap', 'roughnessMap', 'metallicMap'];
+
+/** Shading variants understood by the fragment shader */
+const SHADING_MODELS = {
+  color: 0,
+  lambert: 1,
+  blinnPhong: 2,
+  reflection: 3,
+  glass: 4,
+  pbr: 5,
+};
+
+/**
+ * Render modes: the `u_renderMode` output of the fragment shader, and whether
+ * triangles are drawn as their edges. Wireframes are unlit so every edge shows.
+ */
+const RENDER_MODES = {
+  shaded: { output: 0, wireframe: false },
+  unlit: { output: 1, wireframe: false },
+  normals: { output: 2, wireframe: false },
+  wireframe: { output: 1, wireframe: true },
+};
+
+/**
+ * Shading variant for each MTL illumination model. Ray tracing and refraction
+ * are not available, so those models fall back to their closest variant.
+ */
+const ILLUM_MODELS = [
+  { shading: SHADING_MODELS.color },                     // 0: color on, ambient off
+  { shading: SHADING_MODELS.lambert },                   // 1: color on, ambient on
+  { shading: SHADING_MODELS.blinnPhong },                // 2: highlight on
+  { shading: SHADING_MODELS.reflection },                // 3: reflection on, ray trace on
+  { shading: SHADING_MODELS.glass },                     // 4: glass on, ray trace on
+  { shading: SHADING_MODELS.reflection, fresnel: true }, // 5: fresnel reflection
+  { shading: SHADING_MODELS.glass },                     // 6: refraction on, fresnel off
+  { shading: SHADING_MODELS.glass, fresnel: true },      // 7: refraction on, fresnel on
+  { shading: SHADING_MODELS.reflection },                // 8: reflection on, ray trace off
+  { shading: SHADING_MODELS.glass },                     // 9: glass on, ray trace off
+  { shading: SHADING_MODELS.blinnPhong },                // 10: shadow matte
+];
+
+/**
+ * Derives the shading uniforms of a material. Materials with any PBR
+ * metallic-roughness value use the PBR path, the rest follow their MTL illum model.
+ * @param {Object} [material] - Material parsed from the MTL file.
+ * @returns {Object} `shadingModel`, `fresnel` and `useReflectionMap` uniforms.
+ */
+const getShadingUniforms = (material = {}) => {
+  const { illum = 2, reflectionMap } = material;
+  const { shading, fresnel = false } = ILLUM_MODELS[illum] || ILLUM_MODELS[2];
+  const isPBR = ['roughness', 'metallic', 'roughnessMap', 'metallicMap'].some(key => material[key] !== undefined);
+
+  return {
+    shadingModel: isPBR ? SHADING_MODELS.pbr : shading,
+    fresnel: fresnel ? 1 : 0,
+    useReflectionMap: reflectionMap ? 1 : 0,
+  };
+};
+
+/** Channel masks for the MTL `-imfchan` option; `l` reads luminance and `m` the alpha (matte) channel */
+const TEXTURE_CHANNELS = {
+  r: [1, 0, 0, 0],
+  g: [0, 1, 0, 0],
+  b: [0, 0, 1, 0],
+  m: [0, 0, 0, 1],
+  l: [0.299, 0.587, 0.114, 0],
+  z: [1, 0, 0, 0],
+};
+
+/**
+ * Turns the MTL texture options of a material's maps into shader uniforms.
+ * @param {Object} material - Material with `<name>Map` textures and optional `<name>MapOptions`.
+ * @returns {Object} Transform, channel and range uniforms for every map, plus `bumpMultiplier`.
+ */
+const getTextureOptionUniforms = (material) => {
+  const uniforms = {};
+
+  Object.keys(material)
+    .filter(key => key.endsWith('Map'))
+    .forEach((key) => {
+      const { scale = [1, 1], offset = [0, 0], channel = 'r', range = [0, 1] } = material[`${key}Options`] || {};
+      uniforms[`${key}Transform`] = [scale[0], scale[1], offset[0], offset[1]];
+      uniforms[`${key}Channel`] = TEXTURE_CHANNELS[channel] || TEXTURE_CHANNELS.r;
+      uniforms[`${key}Range`] = range;
+    });
+
+  const { bumpMultiplier = 1 } = material.bumpMapOptions || {};
+  uniforms.bumpMultiplier = bumpMultiplier;
+
+  return uniforms;
+};
+
+/**
+ * Computes per-vertex tangents from positions, texture coordinates and normals.
+ * The fourth component holds the bitangent handedness (1 or -1).
+ * @param {Object} data - Geometry data with `position`, `texcoord`, `normal` and optional `indices`.
+ * @returns {Array<number>} Tangents, four values per vertex.
+ */
+const generateTangents = ({ position, texcoord, normal, indices }) => {
+  const numVertices = position.length / 3;
+  const tangents = new Array(numVertices * 3).fill(0);
+  const bitangents = new Array(numVertices * 3).fill(0);
+  const vertexIndices = indices || Array.from({ length: numVertices }, (_, i) => i);
+
+  for (let i = 0; i + 2 < vertexIndices.length; i += 3) {
+    const [a, b, c] = [vertexIndices[i], vertexIndices[i + 1], vertexIndices[i + 2]];
+    const edge1 = m4.subtractVectors(position.slice(b * 3, b * 3 + 3), position.slice(a * 3, a * 3 + 3), []);
+    const edge2 = m4.subtractVectors(position.slice(c * 3, c * 3 + 3), position.slice(a * 3, a * 3 + 3), []);
+    const du1 = texcoord[b * 2] - texcoord[a * 2];
+    const dv1 = texcoord[b * 2 + 1] - texcoord[a * 2 + 1];
+    const du2 = texcoord[c * 2] - texcoord[a * 2];
+    const dv2 = texcoord[c * 2 + 1] - texcoord[a * 2 + 1];
+
+    const det = du1 * dv2 - du2 * dv1;
+    if (Math.abs(det) < 1e-12) continue;
+
+    const r = 1 / det;
+    for (let k = 0; k < 3; ++k) {
+      const t = (edge1[k] * dv2 - edge2[k] * dv1) * r;
+      const bt = (edge2[k] * du1 - edge1[k] * du2) * r;
+      for (const v of [a, b, c]) {
+        tangents[v * 3 + k] += t;
+        bitangents[v * 3 + k] += bt;
+      }
+    }
+  }
+
+  const result = [];
+  for (let v = 0; v < numVertices; ++v) {
+    const n = normal.slice(v * 3, v * 3 + 3);
+    const t = tangents.slice(v * 3, v * 3 + 3);
+    const tangent = m4.normalize(m4.subtractVectors(t, m4.scaleVector(n, m4.dot(n, t), []), []), [1, 0, 0]);
+    const handedness = m4.dot(m4.cross(n, tangent, []), bitangents.slice(v * 3, v * 3 + 3)) < 0 ? -1 : 1;
+    result.push(...tangent, handedness);
+  }
+  return result;
+};
+
 /**
  * Sets up camera position and parameters based on object extents.
  * @param {Object} extents - Min and max coordinates of the object.
- * @returns {Object} Camera position, target, and other settings.
+ * @returns {Object} Camera position, target, vertical field of view in radians and other settings;
+ *   `objOffset` moves the object's center to the origin.
  */
 const setupCamera = (extents) => {
   const range = m4.subtractVectors(extents.max, extents.min);
@@ -214,28 +1089,83 @@ const setupCamera = (extents) => {
   const radius = m4.length(range) * 1.2;
   const cameraPosition = m4.addVectors(cameraTarget, [0, 0, radius]);
 
-  return { cameraPosition, cameraTarget, zNear: radius / 100, zFar: radius * 3, objOffset };
+  return { cameraPosition, cameraTarget, fieldOfView: degToRad(60), zNear: radius / 100, zFar: radius * 3, objOffset };
+};
+
+/**
+ * Creates a buffer info drawing the edges of triangle data with `gl.LINES`.
+ * It shares the vertex buffers of the triangles' buffer info; only the line indices are new.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {Object} bufferInfo - The triangles' buffer info from `createBufferInfoFromArrays`.
+ * @param {Object} data - The triangles' vertex data, with optional `indices`.
+ * @returns {Object|null} The buffer info, or null if the context cannot index that many vertices.
+ */
+const createWireframeBufferInfo = (gl, bufferInfo, data) => {
+  const numVertices = data.position.length / 3;
+  if (!canIndexVertices(gl, numVertices)) {
+    return null;
+  }
+  const triangleIndices = data.indices || Array.from({ length: numVertices }, (_, i) => i);
+
+  const edges = [];
+  for (let i = 0; i + 2 < triangleIndices.length; i += 3) {
+    const [a, b, c] = [triangleIndices[i], triangleIndices[i + 1], triangleIndices[i + 2]];
+    edges.push(a, b, b, c, c, a);
+  }
+
+  return {
+    attribs: bufferInfo.attribs,
+    ...createIndexBuffer(gl, edges, numVertices),
+  };
 };
 
 /**
  * Sets up the geometry buffers for rendering.
  * @param {WebGLRenderingContext} gl - The WebGL context.
- * @param {Object} obj - Parsed OBJ data.
+ * @param {Object} obj - Parsed model data with `geometries`, e.g. from `ParseObjFile` or `ParseGltfFile`.
  * @param {Object} materials - Material data.
- * @returns {Array} Array of parts with buffer information and material properties.
+ * @param {WebGLProgram} [program] - Program whose attribute layout is recorded into each part's vertex array.
+ * @returns {Array} Array of parts with buffer information (and for triangles a wireframe buffer information),
+ *   material properties, draw mode and primitive name, whether the part needs blending, its object-space
+ *   extents and centroid, and the OBJ object, groups, material name and vertex data it came from.
  */
-const setupGeometry = (gl, obj, materials) => {
+const setupGeometry = (gl, obj, materials, program) => {
+  // Every map defaults to a texture that leaves its uniform unchanged
+  const whiteTexture = create1PixelTexture(gl, [255, 255, 255, 255]);
   const defaultMaterial = {
     diffuse: [1, 1, 1],
-    diffuseMap: create1PixelTexture(gl, [255, 255, 255, 255]),
+    diffuseMap: whiteTexture,
     ambient: [0, 0, 0],
+    ambientMap: whiteTexture,
+    emissive: [0, 0, 0],
+    emissiveMap: whiteTexture,
     specular: [1, 1, 1],
-    specularMap: create1PixelTexture(gl, [255, 255, 255, 255]),
+    specularMap: whiteTexture,
     shininess: 400,
+    shininessMap: whiteTexture,
     opacity: 1,
+    opacityMap: whiteTexture,
+    alphaCutoff: 0,
+    normalMap: create1PixelTexture(gl, [128, 128, 255, 255]),
+    bumpMap: whiteTexture,
+    reflectionMap: whiteTexture,
+    roughness: 1,
+    roughnessMap: whiteTexture,
+    metallic: 0,
+    metallicMap: whiteTexture,
+    sheen: 0,
+    clearcoat: 0,
+    clearcoatRoughness: 0,
+  };
+
+  const primitiveModes = {
+    triangles: gl.TRIANGLES,
+    lines: gl.LINES,
+    lineStrip: gl.LINE_STRIP,
+    points: gl.POINTS,
   };
 
-  return obj.geometries.map(({ material, data }) => {
+  return obj.geometries.map(({ object, groups, material, primitive, data }) => {
     if (data.color) {
       if (data.position.length === data.color.length) {
         data.color = { numComponents: 3, data: data.color };
@@ -244,61 +1174,285 @@ const setupGeometry = (gl, obj, materials) => {
       data.color = { value: [1, 1, 1, 1] };
     }
 
+    if (primitive === 'triangles' && data.texcoord && data.normal && !data.tangent) {
+      data.tangent = generateTangents(data);
+    }
+
     const bufferInfo = createBufferInfoFromArrays(gl, data);
+    if (program) {
+      bindBufferInfo(gl, program, bufferInfo);
+      bindVertexArray(gl, null);
+    }
+    // Made here, not while drawing: creating an index buffer records it into the bound vertex array
+    const wireframeBufferInfo = primitive === 'triangles' ? createWireframeBufferInfo(gl, bufferInfo, data) : null;
+
+    const partMaterial = { ...defaultMaterial, ...materials[material], ...getShadingUniforms(materials[material]) };
+    const { min, max } = getExtents(data.position);
 
     return {
-      material: { ...defaultMaterial, ...materials[material] },
+      material: { ...partMaterial, ...getTextureOptionUniforms(partMaterial) },
       bufferInfo,
+      wireframeBufferInfo,
+      mode: primitiveModes[primitive],
+      primitive,
+      transparent: isTransparent(materials[material]),
+      extents: { min, max },
+      centroid: m4.scaleVector(m4.addVectors(min, max, []), 0.5, []),
+      object,
+      groups,
+      materialName: material,
+      data,
     };
   });
 };
 
+/**
+ * Checks whether a material needs blending: it is translucent (`d` below 1), is a
+ * glTF material in `BLEND` alpha mode, or has an opacity map, unless the map is
+ * alpha-tested through `alphaCutoff`.
+ * @param {Object} [material] - Material from the MTL or glTF file.
+ * @returns {boolean} True if parts with this material belong in the transparent queue.
+ */
+const isTransparent = (material = {}) => {
+  const { opacity = 1, opacityMap, alphaCutoff = 0, alphaMode } = material;
+  return opacity < 1 || alphaMode === 'BLEND' || (opacityMap !== undefined && !(alphaCutoff > 0));
+};
+
+/** Material override added to the selected part */
+const SELECTION_HIGHLIGHT = { emissive: [0.35, 0.25, 0] };
+
+/**
+ * Collects one draw per part of every visible model instance in the scene graph.
+ * @param {Object} scene - Root node of the scene graph, with up-to-date world matrices.
+ * @returns {Array<Object>} Items with the `node`, `part`, `worldMatrix`, inherited `materialOverride` and `transparent` flag.
+ */
+const getDrawItems = (scene) => {
+  const drawItems = [];
+  traverseScene(scene, (node) => {
+    if (!node.visible) return false;
+    if (node.model) {
+      const materialOverride = getMaterialOverride(node);
+      const transparent = materialOverride.opacity < 1;
+      node.model.parts.forEach(part => drawItems.push({
+        node,
+        part,
+        worldMatrix: node.worldMatrix,
+        materialOverride,
+        transparent: part.transparent || transparent,
+      }));
+    }
+  });
+  return drawItems;
+};
+
+/**
+ * Computes the view and projection matrices of the camera for the current canvas size.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {Object} cameraInfo - Camera parameters.
+ * @returns {Object} The `view` and `projection` matrices.
+ */
+const getCameraMatrices = (gl, cameraInfo) => {
+  const aspect = gl.canvas.clientWidth / gl.canvas.clientHeight;
+  const projection = m4.perspective(cameraInfo.fieldOfView, aspect, cameraInfo.zNear, cameraInfo.zFar);
+
+  const up = [0, 1, 0];
+  const camera = m4.lookAt(cameraInfo.cameraPosition, cameraInfo.cameraTarget, up);
+  const view = m4.inverse(camera);
+
+  return { view, projection };
+};
+
+/**
+ * Converts a position in CSS pixels to drawing buffer pixels, measured from the bottom left like WebGL.
+ * @param {HTMLCanvasElement} canvas - The canvas.
+ * @param {number} clientX - Horizontal position in CSS pixels, e.g. from a mouse event.
+ * @param {number} clientY - Vertical position in CSS pixels.
+ * @returns {Object} The fractional `x` and `y` pixel coordinates.
+ */
+const getCanvasPixel = (canvas, clientX, clientY) => {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: (clientX - rect.left) * canvas.width / rect.width,
+    y: (rect.bottom - clientY) * canvas.height / rect.height,
+  };
+};
+
+/**
+ * Finds what is under a point on the canvas by rendering the scene in ID colors.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} PickProgram - The ID color program.
+ * @param {Object} scene - Root node of the scene graph.
+ * @param {Object} cameraInfo - Camera parameters.
+ * @param {number} clientX - Horizontal position in CSS pixels, e.g. from a mouse event.
+ * @param {number} clientY - Vertical position in CSS pixels.
+ * @returns {Object|null} The picked `node` and `part`, the part's OBJ `object`, `groups` and
+ *   `material` name, and the `triangle` index within the part; null for the background.
+ */
+const pickScene = (gl, PickProgram, scene, cameraInfo, clientX, clientY) => {
+  updateWorldMatrices(scene);
+
+  const { x, y } = getCanvasPixel(gl.canvas, clientX, clientY);
+  const hit = pickDrawItem(gl, PickProgram, getDrawItems(scene), getCameraMatrices(gl, cameraInfo), Math.floor(x), Math.floor(y));
+  if (!hit) {
+    return null;
+  }
+
+  const { node, part } = hit.item;
+  return { node, part, object: part.object, groups: part.groups, material: part.materialName, triangle: hit.triangle };
+};
+
+/** BVH of each triangle part, built on its first ray cast */
+const partBVHs = new WeakMap();
+
+/**
+ * Gets the world-space ray through a point on the canvas.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {Object} cameraInfo - Camera parameters.
+ * @param {number} clientX - Horizontal position in CSS pixels, e.g. from a mouse event.
+ * @param {number} clientY - Vertical position in CSS pixels.
+ * @returns {Object} The ray from `raycast.unproject`.
+ */
+const getCanvasRay = (gl, cameraInfo, clientX, clientY) => {
+  const { x, y } = getCanvasPixel(gl.canvas, clientX, clientY);
+  const { view, projection } = getCameraMatrices(gl, cameraInfo);
+  return raycast.unproject(x, y, gl.canvas.width, gl.canvas.height, m4.multiply(projection, view));
+};
+
+/**
+ * Casts a ray against the triangles of every visible model in the scene on the CPU.
+ * The ray is moved into each node's local space, so the mesh data is never transformed.
+ * @param {Object} scene - Root node of the scene graph.
+ * @param {Object} ray - World-space ray with a unit-length direction, e.g. from `getCanvasRay`.
+ * @returns {Object|null} The nearest hit with world-space `point`, `normal` and `distance`, the
+ *   `barycentric` weights and `triangle` index within the hit `part`, and its `node`; null on a miss.
+ */
+const raycastScene = (scene, ray) => {
+  updateWorldMatrices(scene);
+  let nearest = null;
+
+  getDrawItems(scene).forEach(({ node, part, worldMatrix }) => {
+    if (part.primitive !== 'triangles') return;
+
+    const localRay = raycast.transformRay(m4.inverse(worldMatrix), ray);
+    if (raycast.intersectRayAABB(localRay, part.extents.min, part.extents.max) === null) return;
+
+    if (!partBVHs.has(part)) {
+      partBVHs.set(part, raycast.createBVH(part.data.position, part.data.indices));
+    }
+
+    const hit = raycast.intersectRayBVH(partBVHs.get(part), localRay);
+    if (hit && (!nearest || hit.distance < nearest.distance)) {
+      nearest = {
+        ...hit,
+        point: Array.from(m4.transformPoint(worldMatrix, hit.point)),
+        normal: m4.normalize(m4.transformNormal(worldMatrix, hit.normal), []),
+        node,
+        part,
+      };
+    }
+  });
+
+  return nearest;
+};
+
 /**
  * Draws the 3D scene.
+ * Every visible node with a model is drawn with its world matrix and inherited
+ * material override. Opaque parts are drawn first; transparent parts follow
+ * back to front with blending on and depth writes off, so they neither hide
+ * nor punch holes in each other.
  * @param {WebGLRenderingContext} gl - The WebGL context.
  * @param {WebGLProgram} Program - The WebGL program.
- * @param {Array} parts - Array of parts with buffer and material information.
+ * @param {Object} scene - Root node of the scene graph.
  * @param {Object} cameraInfo - Camera parameters.
- * @param {Object} extents - Object extents for positioning.
- * @param {number} time - Time value for animation.
+ * @param {Array<Object>} [lights] - Lights from `createLight`.
+ * @param {WebGLProgram} [ShadowProgram] - Depth program for the shadow maps; without it nothing casts shadows.
+ * @param {Object} [selection] - Result of `pickScene` to highlight.
+ * @param {Object} [settings] - View settings.
+ * @param {number[]} [settings.background=[0, 0, 0, 0]] - RGBA clear color; the default shows the page through the canvas.
+ * @param {string} [settings.renderMode='shaded'] - Key of `RENDER_MODES`.
  */
-const drawScene = (gl, Program, parts, cameraInfo, extents, time) => {
-  time *= 0.001;
+const drawScene = (gl, Program, scene, cameraInfo, lights = [], ShadowProgram = null, selection = null, {
+  background = [0, 0, 0, 0],
+  renderMode = 'shaded',
+} = {}) => {
+  updateWorldMatrices(scene);
+
+  const drawItems = getDrawItems(scene);
+  if (selection) {
+    drawItems
+      .filter(({ node, part }) => node === selection.node && part === selection.part)
+      .forEach((item) => { item.materialOverride = { ...item.materialOverride, ...SELECTION_HIGHLIGHT }; });
+  }
+
+  const bounds = getSceneExtents(scene) || { min: [0, 0, 0], max: [0, 0, 0] };
+  const shadowLights = ShadowProgram ? lights : [];
+  const { lightShadows, uniforms: shadowUniforms } = renderShadowMaps(gl, ShadowProgram, shadowLights, bounds, (depthProgram) => {
+    for (const { part: { bufferInfo, mode }, worldMatrix, transparent } of drawItems) {
+      // Lines and points are too thin to cast useful shadows, and see-through parts would cast solid ones
+      if (mode !== gl.TRIANGLES || transparent) continue;
+      bindBufferInfo(gl, depthProgram, bufferInfo);
+      setUniforms(gl, depthProgram, { u_world: worldMatrix });
+      drawBufferInfo(gl, bufferInfo, mode);
+    }
+    bindVertexArray(gl, null);
+  });
 
   resizeCanvasToDisplaySize(gl.canvas);
   gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
   gl.enable(gl.DEPTH_TEST);
 
-  const fieldOfViewRadians = degToRad(60);
-  const aspect = gl.canvas.clientWidth / gl.canvas.clientHeight;
-  const projection = m4.perspective(fieldOfViewRadians, aspect, cameraInfo.zNear, cameraInfo.zFar);
+  // The canvas composites with premultiplied alpha, so the clear color is premultiplied too
+  const [red, green, blue, alpha] = background;
+  gl.clearColor(red * alpha, green * alpha, blue * alpha, alpha);
+  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-  const up = [0, 1, 0];
-  const camera = m4.lookAt(cameraInfo.cameraPosition, cameraInfo.cameraTarget, up);
-  const view = m4.inverse(camera);
+  const { view, projection } = getCameraMatrices(gl, cameraInfo);
+  const { output, wireframe } = RENDER_MODES[renderMode];
 
   gl.useProgram(Program);
 
-  const location_lightDirection = gl.getUniformLocation(Program, "u_lightDirection");
-  gl.uniform3fv(location_lightDirection, m4.normalize([-1, 3, 5]));
-
-  const location_viewWorldPosition = gl.getUniformLocation(Program, "u_viewWorldPosition");
-  gl.uniform3fv(location_viewWorldPosition, cameraInfo.cameraPosition);
+  setUniforms(gl, Program, getLightUniforms(lights, lightShadows), shadowUniforms, {
+    u_viewWorldPosition: cameraInfo.cameraPosition,
+    u_view: view,
+    u_projection: projection,
+    u_renderMode: output,
+  });
 
-  const location_view = gl.getUniformLocation(Program, "u_view");
-  gl.uniformMatrix4fv(location_view, false, view);
+  const drawItem = ({ part, worldMatrix, materialOverride }) => {
+    const { material } = part;
+    const { bufferInfo, mode } = wireframe && part.wireframeBufferInfo
+      ? { bufferInfo: part.wireframeBufferInfo, mode: gl.LINES }
+      : part;
+    bindBufferInfo(gl, Program, bufferInfo);
+    setUniforms(gl, Program, {
+      u_world: worldMatrix,
+      // Inverse-transpose, so normals stay perpendicular under non-uniform scale
+      u_normalMatrix: m3.normalFromMat4(worldMatrix),
+    }, material, materialOverride);
+    drawBufferInfo(gl, bufferInfo, mode);
+  };
 
-  const location_projection = gl.getUniformLocation(Program, "u_projection");
-  gl.uniformMatrix4fv(location_projection, false, projection);
+  gl.disable(gl.BLEND);
+  drawItems.filter(item => !item.transparent).forEach(drawItem);
 
-  let u_world = m4.yRotation(time);
-  u_world = m4.translate(u_world, ...cameraInfo.objOffset);
+  // Sort by view-space depth; the camera looks down -z, so the most negative z is farthest
+  const transparentItems = drawItems
+    .filter(item => item.transparent)
+    .map(item => ({ item, depth: m4.transformPoint(m4.multiply(view, item.worldMatrix), item.part.centroid)[2] }))
+    .sort((a, b) => a.depth - b.depth);
 
-  for (const { bufferInfo, material } of parts) {
-    setupAttributes(gl, Program, bufferInfo);
-    setUniforms(gl, Program, { u_world }, material);
-    gl.drawArrays(gl.TRIANGLES, 0, bufferInfo.numElements);
+  if (transparentItems.length) {
+    // Output color stays premultiplied for the canvas, which composites with premultiplied alpha
+    gl.enable(gl.BLEND);
+    gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.depthMask(false);
+    transparentItems.forEach(({ item }) => drawItem(item));
+    gl.depthMask(true);
+    gl.disable(gl.BLEND);
   }
+
+  bindVertexArray(gl, null);
 };
 
 /**
@@ -0,0 +1,291 @@
+/**
+ * 3-by-3 matrix math, for 2D transforms and normal matrices.
+ * Matrices are column-major like `m4`.
+ *
+ * @module webgl-m3
+ */
+(function(root, factory) {  // eslint-disable-line
+    if (typeof define === 'function' && define.amd) {
+      // AMD. Register as an anonymous module.
+      define([], factory);
+    } else {
+      // Browser globals
+      root.m3 = factory();
+    }
+  }(this, function() {
+    "use strict";
+
+    /**
+     * An array or typed array with 9 values.
+     * @typedef {number[]|TypedArray} Matrix3
+     * @memberOf module:webgl-m3
+     */
+
+    let MatType = Float32Array;
+
+    /**
+     * Sets the type this library creates for a Mat3
+     * @param {constructor} Ctor the constructor for the type. Either `Float32Array` or `Array`
+     * @return {constructor} previous constructor for Mat3
+     */
+    function setDefaultType(Ctor) {
+      const OldType = MatType;
+      MatType = Ctor;
+      return OldType;
+    }
+
+    /**
+     * Makes an identity matrix.
+     * @param {Matrix3} [dst] optional matrix to store result
+     * @return {Matrix3} dst or a new matrix if none provided
+     * @memberOf module:webgl-m3
+     */
+    function identity(dst) {
+      dst = dst || new MatType(9);
+      dst[0] = 1;
+      dst[1] = 0;
+      dst[2] = 0;
+      dst[3] = 0;
+      dst[4] = 1;
+      dst[5] = 0;
+      dst[6] = 0;
+      dst[7] = 0;
+      dst[8] = 1;
+      return dst;
+    }
+
+    /**
+     * Copies a matrix.
+     * @param {Matrix3} m matrix to copy
+     * @param {Matrix3} [dst] optional matrix to store result
+     * @return {Matrix3} dst or a new matrix if none provided
+     * @memberOf module:webgl-m3
+     */
+    function copy(m, dst) {
+      dst = dst || new MatType(9);
+      for (let i = 0; i < 9; ++i) {
+        dst[i] = m[i];
+      }
+      return dst;
+    }
+
+    /**
+     * Multiplies 2 matrices so the result transforms by b first and then a.
+     * @param {Matrix3} a A matrix.
+     * @param {Matrix3} b A matrix.
+     * @param {Matrix3} [dst] optional matrix to store result
+     * @return {Matrix3} dst or a new matrix if none provided
+     * @memberOf module:webgl-m3
+     */
+    function multiply(a, b, dst) {
+      dst = dst || new MatType(9);
+      const a00 = a[0], a01 = a[1], a02 = a[2];
+      const a10 = a[3], a11 = a[4], a12 = a[5];
+      const a20 = a[6], a21 = a[7], a22 = a[8];
+      const b00 = b[0], b01 = b[1], b02 = b[2];
+      const b10 = b[3], b11 = b[4], b12 = b[5];
+      const b20 = b[6], b21 = b[7], b22 = b[8];
+
+      dst[0] = a00 * b00 + a10 * b01 + a20 * b02;
+      dst[1] = a01 * b00 + a11 * b01 + a21 * b02;
+      dst[2] = a02 * b00 + a12 * b01 + a22 * b02;
+      dst[3] = a00 * b10 + a10 * b11 + a20 * b12;
+      dst[4] = a01 * b10 + a11 * b11 + a21 * b12;
+      dst[5] = a02 * b10 + a12 * b11 + a22 * b12;
+      dst[6] = a00 * b20 + a10 * b21 + a20 * b22;
+      dst[7] = a01 * b20 + a11 * b21 + a21 * b22;
+      dst[8] = a02 * b20 + a12 * b21 + a22 * b22;
+      return dst;
+    }
+
+    /**
+     * Transposes a matrix.
+     * @param {Matrix3} m matrix to transpose
+     * @param {Matrix3} [dst] optional matrix to store result
+     * @return {Matrix3} dst or a new matrix if none provided
+     * @memberOf module:webgl-m3
+     */
+    function transpose(m, dst) {
+      dst = dst || new MatType(9);
+      const m01 = m[1], m02 = m[2], m12 = m[5];
+      dst[0] = m[0];
+      dst[1] = m[3];
+      dst[2] = m[6];
+      dst[3] = m01;
+      dst[4] = m[4];
+      dst[5] = m[7];
+      dst[6] = m02;
+      dst[7] = m12;
+      dst[8] = m[8];
+      return dst;
+    }
+
+    /**
+     * Computes the determinant of a matrix.
+     * @param {Matrix3} m the matrix
+     * @return {number} the determinant
+     * @memberOf module:webgl-m3
+     */
+    function determinant(m) {
+      return m[0] * (m[4] * m[8] - m[7] * m[5]) -
+             m[3] * (m[1] * m[8] - m[7] * m[2]) +
+             m[6] * (m[1] * m[5] - m[4] * m[2]);
+    }
+
+    /**
+     * Computes the inverse of a matrix. A singular matrix gives all zeros.
+     * @param {Matrix3} m matrix to compute inverse of
+     * @param {Matrix3} [dst] optional matrix to store result
+     * @return {Matrix3} dst or a new matrix if none provided
+     * @memberOf module:webgl-m3
+     */
+    function inverse(m, dst) {
+      dst = dst || new MatType(9);
+      const a00 = m[0], a01 = m[1], a02 = m[2];
+      const a10 = m[3], a11 = m[4], a12 = m[5];
+      const a20 = m[6], a21 = m[7], a22 = m[8];
+
+      const b01 = a22 * a11 - a12 * a21;
+      const b11 = -a22 * a10 + a12 * a20;
+      const b21 = a21 * a10 - a11 * a20;
+      const det = a00 * b01 + a01 * b11 + a02 * b21;
+      const invDet = det ? 1 / det : 0;
+
+      dst[0] = b01 * invDet;
+      dst[1] = (-a22 * a01 + a02 * a21) * invDet;
+      dst[2] = (a12 * a01 - a02 * a11) * invDet;
+      dst[3] = b11 * invDet;
+      dst[4] = (a22 * a00 - a02 * a20) * invDet;
+      dst[5] = (-a12 * a00 + a02 * a10) * invDet;
+      dst[6] = b21 * invDet;
+      dst[7] = (-a21 * a00 + a01 * a20) * invDet;
+      dst[8] = (a11 * a00 - a01 * a10) * invDet;
+      return dst;
+    }
+
+    /**
+     * Takes the upper-left 3-by-3 part (rotation and scale) of a 4-by-4 matrix.
+     * @param {Matrix4} m the 4-by-4 matrix
+     * @param {Matrix3} [dst] optional matrix to store result
+     * @return {Matrix3} dst or a new matrix if none provided
+     * @memberOf module:webgl-m3
+     */
+    function fromMat4(m, dst) {
+      dst = dst || new MatType(9);
+      dst[0] = m[0];
+      dst[1] = m[1];
+      dst[2] = m[2];
+      dst[3] = m[4];
+      dst[4] = m[5];
+      dst[5] = m[6];
+      dst[6] = m[8];
+      dst[7] = m[9];
+      dst[8] = m[10];
+      return dst;
+    }
+
+    /**
+     * Computes the normal matrix of a world matrix: the inverse-transpose of its
+     * upper-left 3-by-3 part, which keeps normals perpendicular under non-uniform scale.
+     * @param {Matrix4} m the 4-by-4 world matrix
+     * @param {Matrix3} [dst] optional matrix to store result
+     * @return {Matrix3} dst or a new matrix if none provided
+     * @memberOf module:webgl-m3
+     */
+    function normalFromMat4(m, dst) {
+      dst = fromMat4(m, dst);
+      return transpose(inverse(dst, dst), dst);
+    }
+
+    /**
+     * Makes a rotation matrix from a unit quaternion.
+     * @param {Quaternion} q the [x, y, z, w] quaternion
+     * @param {Matrix3} [dst] optional matrix to store result
+     * @return {Matrix3} dst or a new matrix if none provided
+     * @memberOf module:webgl-m3
+     */
+    function fromQuat(q, dst) {
+      dst = dst || new MatType(9);
+      const x = q[0], y = q[1], z = q[2], w = q[3];
+      const x2 = x + x, y2 = y + y, z2 = z + z;
+      const xx = x * x2, xy = x * y2, xz = x * z2;
+      const yy = y * y2, yz = y * z2, zz = z * z2;
+      const wx = w * x2, wy = w * y2, wz = w * z2;
+
+      dst[0] = 1 - (yy + zz);
+      dst[1] = xy + wz;
+      dst[2] = xz - wy;
+      dst[3] = xy - wz;
+      dst[4] = 1 - (xx + zz);
+      dst[5] = yz + wx;
+      dst[6] = xz + wy;
+      dst[7] = yz - wx;
+      dst[8] = 1 - (xx + yy);
+      return dst;
+    }
+
+    /**
+     * Makes a 2D translation matrix.
+     * @param {number} tx x translation
+     * @param {number} ty y translation
+     * @param {Matrix3} [dst] optional matrix to store result
+     * @return {Matrix3} dst or a new matrix if none provided
+     * @memberOf module:webgl-m3
+     */
+    function translation(tx, ty, dst) {
+      dst = identity(dst);
+      dst[6] = tx;
+      dst[7] = ty;
+      return dst;
+    }
+
+    /**
+     * Makes a 2D rotation matrix.
+     * @param {number} angleInRadians counterclockwise rotation
+     * @param {Matrix3} [dst] optional matrix to store result
+     * @return {Matrix3} dst or a new matrix if none provided
+     * @memberOf module:webgl-m3
+     */
+    function rotation(angleInRadians, dst) {
+      dst = identity(dst);
+      const c = Math.cos(angleInRadians);
+      const s = Math.sin(angleInRadians);
+      dst[0] = c;
+      dst[1] = s;
+      dst[3] = -s;
+      dst[4] = c;
+      return dst;
+    }
+
+    /**
+     * Makes a 2D scaling matrix.
+     * @param {number} sx x scale
+     * @param {number} sy y scale
+     * @param {Matrix3} [dst] optional matrix to store result
+     * @return {Matrix3} dst or a new matrix if none provided
+     * @memberOf module:webgl-m3
+     */
+    function scaling(sx, sy, dst) {
+      dst = identity(dst);
+      dst[0] = sx;
+      dst[4] = sy;
+      return dst;
+    }
+
+    return {
+      identity: identity,
+      copy: copy,
+      multiply: multiply,
+      transpose: transpose,
+      determinant: determinant,
+      inverse: inverse,
+      fromMat4: fromMat4,
+      normalFromMat4: normalFromMat4,
+      fromQuat: fromQuat,
+      translation: translation,
+      rotation: rotation,
+      scaling: scaling,
+      setDefaultType: setDefaultType,
+    };
+
+  }));
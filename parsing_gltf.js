@@ -0,0 +1,498 @@
+"use strict";
+
+/** Size, DataView getter and largest value (for normalized integers) of each accessor component type */
+const GLTF_COMPONENT_TYPES = {
+  5120: { size: 1, read: 'getInt8', max: 127 },
+  5121: { size: 1, read: 'getUint8', max: 255 },
+  5122: { size: 2, read: 'getInt16', max: 32767 },
+  5123: { size: 2, read: 'getUint16', max: 65535 },
+  5125: { size: 4, read: 'getUint32', max: 4294967295 },
+  5126: { size: 4, read: 'getFloat32', max: 1 },
+};
+
+/** Number of components for each accessor type */
+const GLTF_TYPE_SIZES = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4,
+  MAT2: 4,
+  MAT3: 9,
+  MAT4: 16,
+};
+
+/** Primitive name for each glTF primitive mode; loops, strips and fans are converted */
+const GLTF_PRIMITIVES = {
+  0: 'points',
+  1: 'lines',
+  2: 'lineStrip',  // LINE_LOOP
+  3: 'lineStrip',
+  4: 'triangles',
+  5: 'triangles',  // TRIANGLE_STRIP
+  6: 'triangles',  // TRIANGLE_FAN
+};
+
+/** Extensions that need no handling beyond what the parser already does */
+const GLTF_SUPPORTED_EXTENSIONS = ['KHR_mesh_quantization'];
+
+/**
+ * Splits a binary glTF (.glb) file into its JSON document and binary chunk.
+ * @param {ArrayBuffer} arrayBuffer - The contents of the GLB file.
+ * @returns {Object} The parsed `json` and the `bin` chunk (null if the file has none).
+ */
+const ParseGlbFile = (arrayBuffer) => {
+  const view = new DataView(arrayBuffer);
+  if (arrayBuffer.byteLength < 20 || view.getUint32(0, true) !== 0x46546C67) {
+    throw new Error('GLB: missing "glTF" magic');
+  }
+  const version = view.getUint32(4, true);
+  if (version !== 2) {
+    throw new Error(`GLB: unsupported version ${version}`);
+  }
+
+  const length = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+  let json = null;
+  let bin = null;
+
+  for (let offset = 12; offset + 8 <= length;) {
+    const chunkLength = view.getUint32(offset, true);
+    const chunkType = view.getUint32(offset + 4, true);
+    const chunk = arrayBuffer.slice(offset + 8, offset + 8 + chunkLength);
+
+    if (chunkType === 0x4E4F534A) {        // JSON
+      json = JSON.parse(new TextDecoder().decode(chunk));
+    } else if (chunkType === 0x004E4942) { // BIN
+      bin = chunk;
+    }
+    offset += 8 + chunkLength;
+  }
+
+  if (!json) {
+    throw new Error('GLB: missing JSON chunk');
+  }
+  return { json, bin };
+};
+
+/**
+ * Converts a glTF 2.0 document into the geometries and materials `setupGeometry` consumes.
+ * Node transforms are baked into the vertex data, so every mesh instance becomes
+ * geometries of an object named after its node, grouped by mesh name.
+ * Texture coordinates are flipped to the bottom-left origin `createTexture` uses.
+ * @param {Object} json - The parsed glTF JSON.
+ * @param {ArrayBuffer[]} buffers - Contents of the document's buffers, in order.
+ * @param {Object} [options] - Parser options.
+ * @param {boolean} [options.strict=false] - Throw on the first error instead of skipping the element.
+ * @returns {Object} Geometries, materials keyed by name whose maps hold image indices, the
+ *   `images` with their `uri` or `data` and `mimeType`, and diagnostics.
+ */
+const ParseGltfFile = (json, buffers, { strict = false } = {}) => {
+  const {
+    accessors = [],
+    bufferViews = [],
+    meshes = [],
+    nodes = [],
+    scenes = [],
+    textures = [],
+    samplers = [],
+  } = json;
+
+  /** Problems found while parsing */
+  const diagnostics = [];
+
+  /**
+   * Records a diagnostic for an element of the document; errors throw in strict mode.
+   * @param {string} severity - Either `error` or `warning`.
+   * @param {string} path - JSON pointer to the element, e.g. `/meshes/0/primitives/1`.
+   * @param {string} message - Description of the problem.
+   */
+  const report = (severity, path, message) => {
+    const diagnostic = { severity, path, message };
+    diagnostics.push(diagnostic);
+
+    if (strict && severity === 'error') {
+      const error = new Error(`glTF ${path}: ${message}`);
+      error.diagnostic = diagnostic;
+      throw error;
+    }
+  };
+
+  const { version = '' } = json.asset || {};
+  if (!version.startsWith('2.')) {
+    report('error', '/asset/version', `unsupported glTF version "${version}"`);
+  }
+  (json.extensionsRequired || [])
+    .filter(extension => !GLTF_SUPPORTED_EXTENSIONS.includes(extension))
+    .forEach(extension => report('error', '/extensionsRequired', `unsupported extension ${extension}`));
+
+  /**
+   * Gets the bytes of a buffer view.
+   * @param {number} index - The buffer view index.
+   * @returns {Uint8Array|null} The bytes, or null if the view or its buffer is missing.
+   */
+  const getBufferViewBytes = (index) => {
+    const bufferView = bufferViews[index];
+    const buffer = bufferView && buffers[bufferView.buffer];
+    if (!buffer) {
+      report('error', `/bufferViews/${index}`, 'buffer view or its buffer is missing');
+      return null;
+    }
+
+    const { byteOffset = 0, byteLength } = bufferView;
+    if (byteOffset + byteLength > buffer.byteLength) {
+      report('error', `/bufferViews/${index}`, 'buffer view reaches past the end of its buffer');
+      return null;
+    }
+    return new Uint8Array(buffer, byteOffset, byteLength);
+  };
+
+  /**
+   * Reads tightly packed or strided elements from a buffer view.
+   * @param {number} viewIndex - The buffer view index.
+   * @param {number} byteOffset - Offset of the first element in the view.
+   * @param {number} count - Number of elements.
+   * @param {number} numComponents - Components per element.
+   * @param {Object} componentType - Entry of `GLTF_COMPONENT_TYPES`.
+   * @param {string} path - JSON pointer to the accessor, for diagnostics.
+   * @returns {number[]|null} Flat component values, or null if the data is out of range.
+   */
+  const readElements = (viewIndex, byteOffset, count, numComponents, componentType, path) => {
+    const bytes = getBufferViewBytes(viewIndex);
+    if (!bytes) return null;
+
+    const elementSize = numComponents * componentType.size;
+    const stride = bufferViews[viewIndex].byteStride || elementSize;
+    if (count && byteOffset + stride * (count - 1) + elementSize > bytes.byteLength) {
+      report('error', path, 'accessor reads past the end of its buffer view');
+      return null;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const values = new Array(count * numComponents);
+    for (let i = 0; i < count; ++i) {
+      for (let c = 0; c < numComponents; ++c) {
+        values[i * numComponents + c] = view[componentType.read](byteOffset + i * stride + c * componentType.size, true);
+      }
+    }
+    return values;
+  };
+
+  /**
+   * Reads the elements of an accessor into a flat array, resolving normalized
+   * integers and sparse substitutions.
+   * @param {number} index - The accessor index.
+   * @returns {number[]|null} Flat component values, or null if the accessor is invalid.
+   */
+  const readAccessor = (index) => {
+    const path = `/accessors/${index}`;
+    const accessor = accessors[index];
+    const componentType = accessor && GLTF_COMPONENT_TYPES[accessor.componentType];
+    const numComponents = accessor && GLTF_TYPE_SIZES[accessor.type];
+    if (!componentType || !numComponents) {
+      report('error', path, 'accessor is missing or has an unknown type');
+      return null;
+    }
+
+    const { count, normalized = false, sparse } = accessor;
+    // Accessors without a buffer view start out as zeros
+    const values = accessor.bufferView === undefined
+      ? new Array(count * numComponents).fill(0)
+      : readElements(accessor.bufferView, accessor.byteOffset || 0, count, numComponents, componentType, path);
+    if (!values) return null;
+
+    if (sparse) {
+      const { indices, values: sparseValues } = sparse;
+      const elements = readElements(indices.bufferView, indices.byteOffset || 0, sparse.count, 1,
+          GLTF_COMPONENT_TYPES[indices.componentType], path);
+      const replacements = readElements(sparseValues.bufferView, sparseValues.byteOffset || 0, sparse.count,
+          numComponents, componentType, path);
+      if (!elements || !replacements) return null;
+
+      elements.forEach((element, i) => {
+        for (let c = 0; c < numComponents; ++c) {
+          values[element * numComponents + c] = replacements[i * numComponents + c];
+        }
+      });
+    }
+
+    return normalized ? values.map(v => Math.max(v / componentType.max, -1)) : values;
+  };
+
+  /**
+   * Reads a texture reference of a material into a map property and its options.
+   * @param {Object} material - The material being built.
+   * @param {string} property - The material property to set, e.g. `diffuseMap`.
+   * @param {Object} [textureInfo] - The glTF texture info, e.g. `pbrMetallicRoughness.baseColorTexture`.
+   * @param {string} path - JSON pointer to the texture info, for diagnostics.
+   * @param {Object} [options] - Extra map options, e.g. the `channel` to sample.
+   */
+  const setMap = (material, property, textureInfo, path, options = {}) => {
+    if (!textureInfo) return;
+
+    const texture = textures[textureInfo.index];
+    if (!texture || texture.source === undefined) {
+      report('error', path, `texture ${textureInfo.index} is missing or has no image`);
+      return;
+    }
+    if (textureInfo.texCoord) {
+      report('warning', path, `only TEXCOORD_0 is supported, not TEXCOORD_${textureInfo.texCoord}`);
+    }
+
+    // CLAMP_TO_EDGE; mirrored repeat falls back to repeat
+    const { wrapS, wrapT } = samplers[texture.sampler] || {};
+    const clamp = wrapS === 33071 && wrapT === 33071;
+
+    material[property] = texture.source;
+    if (clamp || Object.keys(options).length) {
+      material[`${property}Options`] = clamp ? { ...options, clamp } : options;
+    }
+  };
+
+  // Names are made unique so materials with the same or no name don't replace each other
+  const materialNames = [];
+  const materials = {};
+  (json.materials || []).forEach((gltfMaterial, index) => {
+    const path = `/materials/${index}`;
+    let name = gltfMaterial.name || `material${index}`;
+    if (materials[name]) {
+      name = `${name}.${index}`;
+    }
+    materialNames.push(name);
+
+    const {
+      baseColorFactor = [1, 1, 1, 1],
+      metallicFactor = 1,
+      roughnessFactor = 1,
+      baseColorTexture,
+      metallicRoughnessTexture,
+    } = gltfMaterial.pbrMetallicRoughness || {};
+    const { alphaMode = 'OPAQUE', alphaCutoff = 0.5, emissiveFactor = [0, 0, 0] } = gltfMaterial;
+
+    const material = {
+      diffuse: baseColorFactor.slice(0, 3),
+      opacity: alphaMode === 'OPAQUE' ? 1 : baseColorFactor[3],
+      alphaMode,
+      metallic: metallicFactor,
+      roughness: roughnessFactor,
+      emissive: emissiveFactor,
+    };
+    if (alphaMode === 'MASK') {
+      material.alphaCutoff = alphaCutoff;
+    }
+
+    setMap(material, 'diffuseMap', baseColorTexture, `${path}/pbrMetallicRoughness/baseColorTexture`);
+    // Roughness is stored in green and metalness in blue of the same texture
+    setMap(material, 'roughnessMap', metallicRoughnessTexture, `${path}/pbrMetallicRoughness/metallicRoughnessTexture`, { channel: 'g' });
+    setMap(material, 'metallicMap', metallicRoughnessTexture, `${path}/pbrMetallicRoughness/metallicRoughnessTexture`, { channel: 'b' });
+    setMap(material, 'normalMap', gltfMaterial.normalTexture, `${path}/normalTexture`);
+    setMap(material, 'emissiveMap', gltfMaterial.emissiveTexture, `${path}/emissiveTexture`);
+
+    materials[name] = material;
+  });
+
+  /**
+   * Reads one mesh primitive as geometry data in the mesh's own space.
+   * @param {Object} gltfPrimitive - The glTF primitive.
+   * @param {string} path - JSON pointer to the primitive, for diagnostics.
+   * @returns {Object|null} The primitive name and vertex `data`, or null if it can't be read.
+   */
+  const readPrimitive = (gltfPrimitive, path) => {
+    const { attributes = {}, indices, mode = 4 } = gltfPrimitive;
+    const primitive = GLTF_PRIMITIVES[mode];
+    if (!primitive) {
+      report('error', path, `unknown primitive mode ${mode}`);
+      return null;
+    }
+    if (attributes.POSITION === undefined) {
+      report('error', path, 'primitive has no POSITION attribute');
+      return null;
+    }
+
+    const data = { position: readAccessor(attributes.POSITION) };
+    if (!data.position) return null;
+
+    if (attributes.NORMAL !== undefined) data.normal = readAccessor(attributes.NORMAL);
+    if (attributes.TANGENT !== undefined) data.tangent = readAccessor(attributes.TANGENT);
+    if (attributes.TEXCOORD_0 !== undefined) {
+      data.texcoord = readAccessor(attributes.TEXCOORD_0);
+      if (data.texcoord) {
+        data.texcoord = data.texcoord.map((v, i) => i % 2 ? 1 - v : v);
+      }
+    }
+    if (attributes.COLOR_0 !== undefined) {
+      // Colors are kept as RGB like OBJ vertex colors; alpha is dropped
+      const color = readAccessor(attributes.COLOR_0);
+      const numComponents = GLTF_TYPE_SIZES[accessors[attributes.COLOR_0].type];
+      data.color = color && color.filter((_, i) => i % numComponents < 3);
+    }
+    Object.keys(data).forEach((key) => {
+      if (!data[key]) delete data[key];
+    });
+
+    const numVertices = data.position.length / 3;
+    let vertexIndices = indices !== undefined ? readAccessor(indices) : null;
+    if (indices !== undefined && !vertexIndices) return null;
+    if (vertexIndices && vertexIndices.some(index => index >= numVertices)) {
+      report('error', path, 'index is out of range');
+      return null;
+    }
+
+    // Loops, strips and fans become plain line strips and triangle lists
+    if (mode === 2 || mode === 5 || mode === 6) {
+      vertexIndices = vertexIndices || Array.from({ length: numVertices }, (_, i) => i);
+      if (mode === 2) {
+        vertexIndices.push(vertexIndices[0]);
+      } else {
+        const triangles = [];
+        for (let i = 2; i < vertexIndices.length; ++i) {
+          if (mode === 6) {
+            triangles.push(vertexIndices[0], vertexIndices[i - 1], vertexIndices[i]);
+          } else if (i % 2) {
+            triangles.push(vertexIndices[i - 1], vertexIndices[i - 2], vertexIndices[i]);
+          } else {
+            triangles.push(vertexIndices[i - 2], vertexIndices[i - 1], vertexIndices[i]);
+          }
+        }
+        vertexIndices = triangles;
+      }
+    }
+
+    if (primitive === 'triangles' && !data.normal) {
+      // Flat normals, as the spec asks for; each triangle gets its own vertices
+      const corners = (vertexIndices || Array.from({ length: numVertices }, (_, i) => i)).map((index) => {
+        const corner = { positionIndex: index, smoothingGroup: 0 };
+        Object.entries(data).forEach(([name, values]) => {
+          const size = values.length / numVertices;
+          corner[name] = values.slice(index * size, index * size + size);
+        });
+        return corner;
+      });
+      generateNormals(corners, undefined);
+
+      Object.keys(data).concat('normal').forEach((name) => {
+        data[name] = [].concat(...corners.map(corner => corner[name]));
+      });
+      vertexIndices = null;
+    }
+
+    if (vertexIndices) {
+      data.indices = vertexIndices;
+    }
+    return { primitive, data };
+  };
+
+  /**
+   * Moves geometry data into world space with a node's world matrix.
+   * @param {Object} data - Vertex data from `readPrimitive`, changed in place.
+   * @param {Matrix4} worldMatrix - The node's world matrix.
+   * @param {string} primitive - The primitive name.
+   */
+  const transformData = (data, worldMatrix, primitive) => {
+    const linear = m3.fromMat4(worldMatrix);
+    const normalMatrix = m3.normalFromMat4(worldMatrix);
+    const mirrored = m3.determinant(linear) < 0;
+
+    for (let i = 0; i < data.position.length; i += 3) {
+      const position = m4.transformPoint(worldMatrix, data.position.slice(i, i + 3));
+      data.position.splice(i, 3, ...position);
+    }
+    if (data.normal) {
+      for (let i = 0; i < data.normal.length; i += 3) {
+        const normal = vec3.normalize(vec3.transformMat3(data.normal.slice(i, i + 3), normalMatrix));
+        data.normal.splice(i, 3, ...normal);
+      }
+    }
+    if (data.tangent) {
+      for (let i = 0; i < data.tangent.length; i += 4) {
+        const tangent = vec3.normalize(vec3.transformMat3(data.tangent.slice(i, i + 3), linear));
+        data.tangent.splice(i, 3, ...tangent);
+        // Mirroring also flips the bitangent, whose sign the shader takes from w
+        if (mirrored) {
+          data.tangent[i + 3] = -data.tangent[i + 3];
+        }
+      }
+    }
+
+    // A mirroring transform flips the winding, so restore counterclockwise front faces
+    if (primitive === 'triangles' && mirrored) {
+      if (!data.indices) {
+        data.indices = Array.from({ length: data.position.length / 3 }, (_, i) => i);
+      }
+      for (let i = 0; i + 2 < data.indices.length; i += 3) {
+        const index = data.indices[i + 1];
+        data.indices[i + 1] = data.indices[i + 2];
+        data.indices[i + 2] = index;
+      }
+    }
+  };
+
+  const geometries = [];
+
+  /**
+   * Adds the geometries of a node and its descendants.
+   * @param {number} index - The node index.
+   * @param {Matrix4} parentWorldMatrix - World matrix of the parent node.
+   * @param {Set<number>} ancestors - Nodes on the path from the root, to stop at cycles.
+   */
+  const visitNode = (index, parentWorldMatrix, ancestors) => {
+    const path = `/nodes/${index}`;
+    const node = nodes[index];
+    if (!node || ancestors.has(index)) {
+      report('error', path, 'node is missing or part of a cycle');
+      return;
+    }
+
+    const { translation = [0, 0, 0], rotation = [0, 0, 0, 1], scale = [1, 1, 1] } = node;
+    const localMatrix = node.matrix || m4.compose(translation, rotation, scale);
+    const worldMatrix = m4.multiply(parentWorldMatrix, localMatrix);
+
+    if (node.mesh !== undefined) {
+      const mesh = meshes[node.mesh];
+      if (!mesh) {
+        report('error', path, `mesh ${node.mesh} is missing`);
+      } else {
+        if (node.skin !== undefined || mesh.weights) {
+          report('warning', path, 'skins and morph targets are not supported; the mesh is shown in its rest pose');
+        }
+
+        (mesh.primitives || []).forEach((gltfPrimitive, primitiveIndex) => {
+          const geometry = readPrimitive(gltfPrimitive, `/meshes/${node.mesh}/primitives/${primitiveIndex}`);
+          if (!geometry) return;
+
+          transformData(geometry.data, worldMatrix, geometry.primitive);
+          const { material } = gltfPrimitive;
+          geometries.push({
+            object: node.name || `node${index}`,
+            groups: [mesh.name || `mesh${node.mesh}`],
+            material: material !== undefined && materialNames[material] ? materialNames[material] : 'default',
+            primitive: geometry.primitive,
+            data: geometry.data,
+          });
+        });
+      }
+    }
+
+    const childAncestors = new Set(ancestors).add(index);
+    (node.children || []).forEach(child => visitNode(child, worldMatrix, childAncestors));
+  };
+
+  // Without scenes every node that is nobody's child is a root
+  const scene = scenes[json.scene || 0];
+  const rootNodes = scene ? scene.nodes || [] : nodes
+    .map((_, index) => index)
+    .filter(index => !nodes.some(node => (node.children || []).includes(index)));
+  rootNodes.forEach(index => visitNode(index, m4.identity(), new Set()));
+
+  const images = (json.images || []).map((image, index) => {
+    if (image.uri !== undefined) {
+      return { uri: image.uri };
+    }
+    return { data: getBufferViewBytes(image.bufferView), mimeType: image.mimeType, name: image.name || `image${index}` };
+  });
+
+  return {
+    geometries,
+    materials,
+    images,
+    diagnostics,
+  };
+};
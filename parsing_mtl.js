@@ -3,18 +3,176 @@
 /**
  * Parses a material (.mtl) file and extracts material properties.
  * @param {string} text - The text content of the material file.
- * @returns {Object} An object containing materials and their properties.
+ * @param {Object} [options] - Parser options.
+ * @param {boolean} [options.strict=false] - Throw on the first error instead of skipping the statement.
+ * @returns {Object} The materials keyed by name and the diagnostics found while parsing.
  */
-const ParseMaterialFile = (text) => {
+const ParseMaterialFile = (text, { strict = false } = {}) => {
   const materials = {};
   let index;
 
+  /** Problems found while parsing, in line order */
+  const diagnostics = [];
+  let lineNumber = 0;
+  let currentKeyword = '';
+
+  /**
+   * Records a diagnostic for the line being parsed; errors throw in strict mode.
+   * @param {string} severity - Either `error` or `warning`.
+   * @param {string} message - Description of the problem.
+   */
+  const report = (severity, message) => {
+    const diagnostic = { severity, line: lineNumber, keyword: currentKeyword, message };
+    diagnostics.push(diagnostic);
+
+    if (strict && severity === 'error') {
+      const error = new Error(`MTL line ${lineNumber} (${currentKeyword}): ${message}`);
+      error.diagnostic = diagnostic;
+      throw error;
+    }
+  };
+
+  /**
+   * Parses numeric arguments, reporting an error if any of them is not a number.
+   * @param {string[]} value - The arguments to parse.
+   * @param {number} minCount - The number of values the keyword requires.
+   * @returns {number[]|null} The parsed numbers, or null if they are invalid.
+   */
+  const parseNumbers = (value, minCount) => {
+    const numbers = value.map(parseFloat);
+
+    if (numbers.length < minCount) {
+      report('error', `expected at least ${minCount} values, got ${numbers.length}`);
+      return null;
+    }
+    if (numbers.some(Number.isNaN)) {
+      report('error', `non-numeric value in "${value.join(' ')}"`);
+      return null;
+    }
+    return numbers;
+  };
+
+  /**
+   * Stores a numeric property on the current material if the arguments are valid.
+   * @param {string} property - The material property to set.
+   * @param {string[]} value - The arguments to parse.
+   * @param {number} count - Number of values; 1 stores a scalar, more store an array.
+   */
+  const setNumbers = (property, value, count) => {
+    // A color given as a single value applies to all three channels
+    const numbers = parseNumbers(value.length === 1 ? Array(count).fill(value[0]) : value, count);
+    if (numbers) {
+      materials[index][property] = count === 1 ? numbers[0] : numbers.slice(0, count);
+    }
+  };
+
+  /**
+   * Number of arguments taken by each texture map option; `-o`, `-s` and `-t`
+   * take one to three numbers.
+   */
+  const textureOptionArgs = {
+    '-blendu': 1,
+    '-blendv': 1,
+    '-boost': 1,
+    '-bm': 1,
+    '-cc': 1,
+    '-clamp': 1,
+    '-imfchan': 1,
+    '-mm': 2,
+    '-texres': 1,
+    '-type': 1,
+    '-o': 3,
+    '-s': 3,
+    '-t': 3,
+  };
+
+  /**
+   * Splits the option flags of a texture map statement from its file name.
+   * @param {string[]} value - Arguments of the map statement.
+   * @returns {Object} The file name and the parsed options.
+   */
+  const parseTextureOptions = (value) => {
+    const options = {};
+    let i = 0;
+
+    while (i < value.length && textureOptionArgs[value[i]]) {
+      const flag = value[i++];
+      const args = [];
+
+      if (flag === '-o' || flag === '-s' || flag === '-t') {
+        while (args.length < 3 && i < value.length && !Number.isNaN(parseFloat(value[i]))) {
+          args.push(parseFloat(value[i++]));
+        }
+      } else {
+        args.push(...value.slice(i, i + textureOptionArgs[flag]));
+        i += args.length;
+      }
+
+      if (args.length === 0) {
+        report('error', `texture option ${flag} is missing its value`);
+        continue;
+      }
+
+      if (['-mm', '-bm', '-boost', '-texres'].includes(flag) && args.some(arg => Number.isNaN(parseFloat(arg)))) {
+        report('error', `texture option ${flag} has a non-numeric value`);
+        continue;
+      }
+
+      switch (flag) {
+        case '-o': options.offset = [args[0], args[1] || 0, args[2] || 0]; break;
+        case '-s': options.scale = [args[0], args.length > 1 ? args[1] : 1, args.length > 2 ? args[2] : 1]; break;
+        case '-t': options.turbulence = [args[0], args[1] || 0, args[2] || 0]; break;
+        case '-mm': options.range = [parseFloat(args[0]), args.length > 1 ? parseFloat(args[1]) : 1]; break;
+        case '-bm': options.bumpMultiplier = parseFloat(args[0]); break;
+        case '-boost': options.boost = parseFloat(args[0]); break;
+        case '-texres': options.resolution = parseInt(args[0]); break;
+        case '-imfchan': options.channel = args[0]; break;
+        case '-type': options.type = args[0]; break;
+        case '-clamp': options.clamp = args[0] === 'on'; break;
+        case '-blendu': options.blendu = args[0] !== 'off'; break;
+        case '-blendv': options.blendv = args[0] !== 'off'; break;
+        case '-cc': options.colorCorrection = args[0] === 'on'; break;
+      }
+    }
+
+    if (value[i] && value[i].startsWith('-')) {
+      report('warning', `unknown texture option ${value[i]}`);
+    }
+
+    return { filename: value.slice(i).join(' '), options };
+  };
+
+  /**
+   * Stores a texture map file name on the current material, with its options
+   * under `<property>Options`.
+   * @param {string} property - The material property to set, e.g. `diffuseMap`.
+   * @param {string[]} value - Arguments of the map statement.
+   */
+  const setMap = (property, value) => {
+    const { filename, options } = parseTextureOptions(value);
+
+    if (!filename) {
+      report('error', 'texture file name is missing');
+      return;
+    }
+
+    materials[index][property] = filename;
+    if (Object.keys(options).length) {
+      materials[index][`${property}Options`] = options;
+    }
+  };
+
   const keywords = {
     /**
      * Defines a new material name.
      * @param {string[]} value - Array containing the material name.
      */
     newmtl(value) {
+      if (!value[0]) {
+        index = undefined;
+        report('error', 'material name is missing');
+        return;
+      }
       index = value[0];
       materials[index] = {};
     },
@@ -24,7 +182,7 @@ const ParseMaterialFile = (text) => {
      * @param {string[]} value - Array containing the shininess value.
      */
     Ns(value) {
-      materials[index].shininess = parseFloat(value[0]);
+      setNumbers('shininess', value, 1);
     },
 
     /**
@@ -32,7 +190,7 @@ const ParseMaterialFile = (text) => {
      * @param {string[]} value - Array containing RGB values.
      */
     Ka(value) {
-      materials[index].ambient = value.map(parseFloat);
+      setNumbers('ambient', value, 3);
     },
 
     /**
@@ -40,7 +198,7 @@ const ParseMaterialFile = (text) => {
      * @param {string[]} value - Array containing RGB values.
      */
     Kd(value) {
-      materials[index].diffuse = value.map(parseFloat);
+      setNumbers('diffuse', value, 3);
     },
 
     /**
@@ -48,7 +206,7 @@ const ParseMaterialFile = (text) => {
      * @param {string[]} value - Array containing RGB values.
      */
     Ks(value) {
-      materials[index].specular = value.map(parseFloat);
+      setNumbers('specular', value, 3);
     },
 
     /**
@@ -56,7 +214,15 @@ const ParseMaterialFile = (text) => {
      * @param {string[]} value - Array containing RGB values.
      */
     Ke(value) {
-      materials[index].emissive = value.map(parseFloat);
+      setNumbers('emissive', value, 3);
+    },
+
+    /**
+     * Sets the file path for the ambient color texture map (map_Ka).
+     * @param {string[]} value - Array containing the texture file path.
+     */
+    map_Ka(value) {
+      setMap('ambientMap', value);
     },
 
     /**
@@ -64,7 +230,23 @@ const ParseMaterialFile = (text) => {
      * @param {string[]} value - Array containing the texture file path.
      */
     map_Kd(value) {
-      materials[index].diffuseMap = value.join(" ");
+      setMap('diffuseMap', value);
+    },
+
+    /**
+     * Sets the file path for the specular color texture map (map_Ks).
+     * @param {string[]} value - Array containing the texture file path.
+     */
+    map_Ks(value) {
+      setMap('specularMap', value);
+    },
+
+    /**
+     * Sets the file path for the emissive texture map (map_Ke).
+     * @param {string[]} value - Array containing the texture file path.
+     */
+    map_Ke(value) {
+      setMap('emissiveMap', value);
     },
 
     /**
@@ -72,7 +254,135 @@ const ParseMaterialFile = (text) => {
      * @param {string[]} value - Array containing the texture file path.
      */
     map_Ns(value) {
-      materials[index].specularMap = value.join(" ");
+      setMap('shininessMap', value);
+    },
+
+    /**
+     * Sets the file path for the opacity (alpha mask) texture map (map_d).
+     * @param {string[]} value - Array containing the texture file path.
+     */
+    map_d(value) {
+      setMap('opacityMap', value);
+    },
+
+    /**
+     * Sets the file path for the bump (height) texture map (map_bump).
+     * @param {string[]} value - Array containing the texture file path.
+     */
+    map_bump(value) {
+      setMap('bumpMap', value);
+    },
+
+    /**
+     * Sets the file path for the bump texture map, as written by Blender (map_Bump).
+     * @param {string[]} value - Array containing the texture file path.
+     */
+    map_Bump(value) {
+      setMap('bumpMap', value);
+    },
+
+    /**
+     * Sets the file path for the bump texture map, short form (bump).
+     * @param {string[]} value - Array containing the texture file path.
+     */
+    bump(value) {
+      setMap('bumpMap', value);
+    },
+
+    /**
+     * Sets the file path for the tangent-space normal map (norm).
+     * @param {string[]} value - Array containing the texture file path.
+     */
+    norm(value) {
+      setMap('normalMap', value);
+    },
+
+    /**
+     * Sets the file path for the displacement texture map (disp).
+     * @param {string[]} value - Array containing the texture file path.
+     */
+    disp(value) {
+      setMap('displacementMap', value);
+    },
+
+    /**
+     * Sets the file path for the reflection texture map (refl).
+     * @param {string[]} value - Array containing the texture file path.
+     */
+    refl(value) {
+      setMap('reflectionMap', value);
+    },
+
+    /**
+     * Sets the PBR roughness (Pr).
+     * @param {string[]} value - Array containing the roughness value.
+     */
+    Pr(value) {
+      setNumbers('roughness', value, 1);
+    },
+
+    /**
+     * Sets the PBR metallic factor (Pm).
+     * @param {string[]} value - Array containing the metallic value.
+     */
+    Pm(value) {
+      setNumbers('metallic', value, 1);
+    },
+
+    /**
+     * Sets the PBR sheen (Ps).
+     * @param {string[]} value - Array containing the sheen value.
+     */
+    Ps(value) {
+      setNumbers('sheen', value, 1);
+    },
+
+    /**
+     * Sets the PBR clearcoat thickness (Pc).
+     * @param {string[]} value - Array containing the clearcoat value.
+     */
+    Pc(value) {
+      setNumbers('clearcoat', value, 1);
+    },
+
+    /**
+     * Sets the PBR clearcoat roughness (Pcr).
+     * @param {string[]} value - Array containing the clearcoat roughness value.
+     */
+    Pcr(value) {
+      setNumbers('clearcoatRoughness', value, 1);
+    },
+
+    /**
+     * Sets the PBR anisotropy (aniso).
+     * @param {string[]} value - Array containing the anisotropy value.
+     */
+    aniso(value) {
+      setNumbers('anisotropy', value, 1);
+    },
+
+    /**
+     * Sets the PBR anisotropy rotation (anisor).
+     * @param {string[]} value - Array containing the anisotropy rotation value.
+     */
+    anisor(value) {
+      setNumbers('anisotropyRotation', value, 1);
+    },
+
+    /**
+     * Sets the file path for the PBR roughness texture map (map_Pr).
+     * @param {string[]} value - Array containing the texture file path.
+     */
+    map_Pr(value) {
+      setMap('roughnessMap', value);
+    },
+
+    /**
+     * Sets the file path for the PBR metallic texture map (map_Pm).
+     * @param {string[]} value - Array containing the texture file path.
+     */
+    map_Pm(value) {
+      setMap('metallicMap', value);
     },
 
     /**
@@ -80,7 +390,7 @@ const ParseMaterialFile = (text) => {
      * @param {string[]} value - Array containing the index of refraction.
      */
     Ni(value) {
-      materials[index].IOR = parseFloat(value[0]);
+      setNumbers('IOR', value, 1);
     },
 
     /**
@@ -88,7 +398,7 @@ const ParseMaterialFile = (text) => {
      * @param {string[]} value - Array containing the opacity value.
      */
     d(value) {
-      materials[index].opacity = parseFloat(value[0]);
+      setNumbers('opacity', value, 1);
     },
 
     /**
@@ -96,13 +406,16 @@ const ParseMaterialFile = (text) => {
      * @param {string[]} value - Array containing the illumination model index.
      */
     illum(value) {
-      materials[index].illum = parseInt(value[0]);
+      const numbers = parseNumbers(value, 1);
+      if (numbers) {
+        materials[index].illum = Math.trunc(numbers[0]);
+      }
     },
   };
 
   const keywordRegex = /(\w*)(?: )*(.*)/;
 
-  text.split('\n').forEach(line => {
+  text.split('\n').forEach((line, lineIndex) => {
     line = line.trim();
     if (line === '' || line.startsWith('#')) return;
 
@@ -113,13 +426,119 @@ const ParseMaterialFile = (text) => {
     const value = line.split(/\s+/).slice(1);
     const handler = keywords[keyword];
 
+    lineNumber = lineIndex + 1;
+    currentKeyword = keyword;
+
     if (!handler) {
-      console.warn('Unknown material keyword:', keyword);
+      report('warning', `unknown keyword "${keyword}"`);
+      return;
+    }
+
+    if (keyword !== 'newmtl' && index === undefined) {
+      report('error', 'property is not inside a newmtl block');
       return;
     }
 
     handler(value);
   });
 
-  return materials;
-};
\ No newline at end of file
+  return { materials, diagnostics };
+};
+
+/** MTL keyword of each numeric material property, in the order they are written */
+const MTL_NUMBER_KEYWORDS = {
+  shininess: 'Ns',
+  ambient: 'Ka',
+  diffuse: 'Kd',
+  specular: 'Ks',
+  emissive: 'Ke',
+  IOR: 'Ni',
+  opacity: 'd',
+  roughness: 'Pr',
+  metallic: 'Pm',
+  sheen: 'Ps',
+  clearcoat: 'Pc',
+  clearcoatRoughness: 'Pcr',
+  anisotropy: 'aniso',
+  anisotropyRotation: 'anisor',
+};
+
+/** MTL keyword of each texture map property, in the order they are written */
+const MTL_MAP_KEYWORDS = {
+  ambientMap: 'map_Ka',
+  diffuseMap: 'map_Kd',
+  specularMap: 'map_Ks',
+  emissiveMap: 'map_Ke',
+  shininessMap: 'map_Ns',
+  opacityMap: 'map_d',
+  bumpMap: 'map_Bump',
+  normalMap: 'norm',
+  displacementMap: 'disp',
+  reflectionMap: 'refl',
+  roughnessMap: 'map_Pr',
+  metallicMap: 'map_Pm',
+};
+
+/**
+ * Writes materials back to MTL text.
+ * Only map properties holding file names are written, so pass the materials as
+ * parsed, before `loadMaterials` replaces the file names with textures.
+ * @param {Object} materials - Materials keyed by name, e.g. the `materials` of `ParseMaterialFile`.
+ * @param {Object} [options] - Writer options.
+ * @param {number} [options.precision=6] - Digits after the decimal point; trailing zeros are dropped.
+ * @returns {string} The MTL text.
+ */
+const WriteMaterialFile = (materials, { precision = 6 } = {}) => {
+  const formatNumber = value => String(Number(value.toFixed(precision)) + 0); // + 0 turns -0 into 0
+  const formatNumbers = values => (typeof values === 'number' ? [values] : Array.from(values)).map(formatNumber).join(' ');
+  const onOff = value => value ? 'on' : 'off';
+
+  /**
+   * Turns the options of a texture map back into option flags.
+   * @param {Object} [options] - Options parsed by `ParseMaterialFile`, e.g. `diffuseMapOptions`.
+   * @returns {string[]} The flags with their arguments.
+   */
+  const formatTextureOptions = (options = {}) => {
+    const flags = {
+      blendu: value => `-blendu ${onOff(value)}`,
+      blendv: value => `-blendv ${onOff(value)}`,
+      boost: value => `-boost ${formatNumber(value)}`,
+      bumpMultiplier: value => `-bm ${formatNumber(value)}`,
+      colorCorrection: value => `-cc ${onOff(value)}`,
+      clamp: value => `-clamp ${onOff(value)}`,
+      channel: value => `-imfchan ${value}`,
+      range: value => `-mm ${formatNumbers(value)}`,
+      resolution: value => `-texres ${value}`,
+      type: value => `-type ${value}`,
+      offset: value => `-o ${formatNumbers(value)}`,
+      scale: value => `-s ${formatNumbers(value)}`,
+      turbulence: value => `-t ${formatNumbers(value)}`,
+    };
+    return Object.keys(flags)
+      .filter(key => options[key] !== undefined)
+      .map(key => flags[key](options[key]));
+  };
+
+  const blocks = Object.entries(materials).map(([name, material]) => {
+    const lines = [`newmtl ${name}`];
+
+    Object.entries(MTL_NUMBER_KEYWORDS)
+      .filter(([property]) => material[property] !== undefined)
+      .forEach(([property, keyword]) => lines.push(`${keyword} ${formatNumbers(material[property])}`));
+
+    if (material.illum !== undefined) {
+      lines.push(`illum ${material.illum}`);
+    }
+
+    Object.entries(MTL_MAP_KEYWORDS)
+      .filter(([property]) => typeof material[property] === 'string')
+      .forEach(([property, keyword]) => {
+        const options = formatTextureOptions(material[`${property}Options`]);
+        lines.push([keyword, ...options, material[property]].join(' '));
+      });
+
+    return lines.join('\n');
+  });
+
+  return blocks.join('\n\n') + '\n';
+};
@@ -1,142 +1,294 @@
 "use strict";
 
 /**
- * Vertex positions, texture coordinates, normals, and colors.
+ * Parses an OBJ file text content.
+ * Every call keeps its own parse state, so several files can be parsed
+ * one after another without sharing vertices or geometries.
+ * @param {string} text - The text content of the OBJ file.
+ * @param {Object} [options] - Parser options.
+ * @param {boolean} [options.indexed=false] - Deduplicate identical vertices and emit `data.indices`.
+ * @param {number} [options.creaseAngle] - Max angle in degrees between faces smoothed together when normals are generated.
+ * @param {boolean} [options.strict=false] - Throw on the first error instead of skipping the statement.
+ * @returns {Object} Parsed geometry, material library data and diagnostics.
  */
-let objPositions = [[0, 0, 0]];
-let objTexcoords = [[0, 0]];
-let objNormals = [[0, 0, 0]];
-let objColors = [[0, 0, 0]];
+const ParseObjFile = (text, { indexed = false, creaseAngle, strict = false } = {}) => {
+  /**
+   * Vertex positions, texture coordinates, normals, and colors.
+   */
+  const objPositions = [[0, 0, 0]];
+  const objTexcoords = [[0, 0]];
+  const objNormals = [[0, 0, 0]];
+  const objColors = [[0, 0, 0]];
 
-/**
- * Stores vertex data in the same order as `f` indices.
- * @type {Array<Array<Array<number>>>}
- */
-const objVertexData = [
-  objPositions,
-  objTexcoords,
-  objNormals,
-  objColors,
-];
+  /**
+   * Stores vertex data in the same order as `f` indices.
+   * @type {Array<Array<Array<number>>>}
+   */
+  const objVertexData = [
+    objPositions,
+    objTexcoords,
+    objNormals,
+    objColors,
+  ];
 
-/** Material libraries referenced in the OBJ file */
-const materialLibs = [];
+  /** Material libraries referenced in the OBJ file */
+  const materialLibs = [];
 
-/** List of geometries parsed from the OBJ file */
-const geometries = [];
+  /** List of geometries parsed from the OBJ file */
+  const geometries = [];
 
-let geometry;
-let groups = ['default'];
-let material = 'default';
-let object = 'default';
+  let geometry;
+  let groups = ['default'];
+  let material = 'default';
+  let object = 'default';
+  let smoothingGroup = 0;
 
-/** No-operation function */
-const noop = () => {};
+  /** Problems found while parsing, in line order */
+  const diagnostics = [];
+  let lineNumber = 0;
+  let currentKeyword = '';
 
-/**
- * Initializes and adds a new geometry if none exists.
- */
-const setGeometry = () => {
-  if (!geometry) {
-    geometry = {
-      object,
-      groups,
-      material,
-      data: {
-        position: [],
-        texcoord: [],
-        normal: [],
-        color: [],
-      },
-    };
-    geometries.push(geometry);
-  }
-};
+  /**
+   * Records a diagnostic for the line being parsed; errors throw in strict mode.
+   * @param {string} severity - Either `error` or `warning`.
+   * @param {string} message - Description of the problem.
+   */
+  const report = (severity, message) => {
+    const diagnostic = { severity, line: lineNumber, keyword: currentKeyword, message };
+    diagnostics.push(diagnostic);
+
+    if (strict && severity === 'error') {
+      const error = new Error(`OBJ line ${lineNumber} (${currentKeyword}): ${message}`);
+      error.diagnostic = diagnostic;
+      throw error;
+    }
+  };
 
-/**
- * Parses an OBJ file text content.
- * @returns {Object} Parsed geometry and material library data.
- */
-const ParseObjFile = (text) => {
   /**
-   * Adds a vertex based on the `f` line of the OBJ file.
-   * @param {string} vert - Vertex specification from OBJ `f` line.
+   * Parses numeric arguments, reporting an error if any of them is not a number.
+   * @param {string[]} value - The arguments to parse.
+   * @param {number} minCount - The number of values the keyword requires.
+   * @returns {number[]|null} The parsed numbers, or null if they are invalid.
    */
-  const addVertex = (vert) => {
+  const parseNumbers = (value, minCount) => {
+    const numbers = value.map(parseFloat);
+
+    if (numbers.length < minCount) {
+      report('error', `expected at least ${minCount} values, got ${numbers.length}`);
+      return null;
+    }
+    if (numbers.some(Number.isNaN)) {
+      report('error', `non-numeric value in "${value.join(' ')}"`);
+      return null;
+    }
+    return numbers;
+  };
+
+  /**
+   * Initializes and adds a new geometry if none exists or the current one
+   * holds a different kind of element.
+   * @param {string} primitive - Element kind: `triangles`, `lines` or `points`.
+   */
+  const setGeometry = (primitive) => {
+    if (geometry && geometry.primitive !== primitive) {
+      geometry = undefined;
+    }
+
+    if (!geometry) {
+      geometry = {
+        object,
+        groups,
+        material,
+        primitive,
+        elementCount: 0,
+        corners: [],
+        data: {
+          position: [],
+          texcoord: [],
+          normal: [],
+          color: [],
+        },
+      };
+      geometries.push(geometry);
+    }
+  };
+
+  /**
+   * Starts a new geometry if the current one is not empty.
+   */
+  const newGeometry = () => {
+    if (geometry && geometry.corners.length) {
+      geometry = undefined;
+    }
+  };
+
+  /**
+   * Resolves the attribute values referenced by one element corner.
+   * @param {string} vert - Vertex specification from an OBJ `f`, `l` or `p` line.
+   * @returns {Object|null} Position, texcoord, normal and color values of the corner, or null if an index is invalid.
+   */
+  const resolveVertex = (vert) => {
     const ptn = vert.split('/');
+    const attributes = { positionIndex: 0 };
 
-    ptn.forEach((objIndexStr, i) => {
-      if (!objIndexStr) return;
+    if (!ptn[0]) {
+      report('error', `vertex "${vert}" has no position index`);
+      return null;
+    }
+
+    const valid = ptn.every((objIndexStr, i) => {
+      if (!objIndexStr || i >= objVertexData.length) return true;
 
       const objIndex = parseInt(objIndexStr);
       const index = objIndex + (objIndex >= 0 ? 0 : objVertexData[i].length);
 
+      if (!/^-?\d+$/.test(objIndexStr) || objIndex === 0 || index <= 0 || index >= objVertexData[i].length) {
+        report('error', `index "${objIndexStr}" in "${vert}" is out of range`);
+        return false;
+      }
+
       if (i === 0) {
-        geometry.data.position.push(...objVertexData[i][index]);
+        attributes.positionIndex = index;
+        attributes.position = objVertexData[i][index];
       } else if (i === 1) {
-        geometry.data.texcoord.push(...objVertexData[i][index]);
+        attributes.texcoord = objVertexData[i][index];
       } else if (i === 2) {
-        geometry.data.normal.push(...objVertexData[i][index]);
+        attributes.normal = objVertexData[i][index];
       } else if (i === 3) {
-        geometry.data.color.push(...objVertexData[i][index]);
+        attributes.color = objVertexData[i][index];
       }
 
       if (i === 0 && objColors.length > 1) {
-        geometry.data.color.push(...objColors[index]);
+        attributes.color = objColors[index];
       }
+      return true;
     });
+
+    return valid ? attributes : null;
+  };
+
+  /**
+   * Resolves every corner of an element statement.
+   * @param {string[]} value - Vertex specifications of the element.
+   * @param {number} minCount - The number of vertices the element requires.
+   * @returns {Array<Object>|null} The resolved corners, or null if the element is invalid.
+   */
+  const resolveElement = (value, minCount) => {
+    if (value.length < minCount) {
+      report('error', `expected at least ${minCount} vertices, got ${value.length}`);
+      return null;
+    }
+
+    const corners = [];
+    for (const vert of value) {
+      const corner = resolveVertex(vert);
+      if (!corner) return null;
+      corners.push(corner);
+    }
+    return corners;
+  };
+
+  /**
+   * Adds a resolved vertex to the current geometry.
+   * Corners are collected first and turned into `data` arrays once the
+   * whole file is read, so missing normals can be generated from every face.
+   * @param {Object} corner - Corner attributes from `resolveVertex`.
+   */
+  const addVertex = (corner) => {
+    geometry.corners.push({ ...corner, smoothingGroup });
   };
 
   const keywords = {
-    /** 
+    /**
      * Parses vertex positions and colors (if present).
      * @param {string[]} value - Array containing position values (and optional color values).
      */
     v(value) {
-      if (value.length > 3) {
-        objPositions.push(value.slice(0, 3).map(parseFloat));
-        objColors.push(value.slice(3).map(parseFloat));
+      // Invalid entries are still stored so later indices keep pointing at the right vertices
+      const numbers = parseNumbers(value, 3) || [0, 0, 0];
+
+      if (numbers.length > 3) {
+        objPositions.push(numbers.slice(0, 3));
+        objColors.push(numbers.slice(3));
       } else {
-        objPositions.push(value.map(parseFloat));
+        objPositions.push(numbers);
       }
     },
 
-    /** 
+    /**
      * Parses vertex normals.
      * @param {string[]} value - Array containing normal vector values.
      */
-    vn(value) { 
-      objNormals.push(value.map(parseFloat)); 
+    vn(value) {
+      objNormals.push(parseNumbers(value, 3) || [0, 0, 0]);
     },
 
-    /** 
+    /**
      * Parses texture coordinates.
      * @param {string[]} value - Array containing texture coordinate values.
      */
-    vt(value) { 
-      objTexcoords.push(value.map(parseFloat)); 
+    vt(value) {
+      // Only u and v are used; an optional w coordinate is dropped
+      const [u, v = 0] = parseNumbers(value, 1) || [0, 0];
+      objTexcoords.push([u, v]);
     },
 
-    /** 
+    /**
      * Parses face definitions and constructs triangles.
      * @param {string[]} value - Array containing face indices for vertices, texture coordinates, and normals.
      */
     f(value) {
-      setGeometry();
-      const numTriangles = value.length - 2;
+      const corners = resolveElement(value, 3);
+      if (!corners) return;
+
+      setGeometry('triangles');
+      const numTriangles = corners.length - 2;
       for (let tri = 0; tri < numTriangles; ++tri) {
-        addVertex(value[0]);
-        addVertex(value[tri + 1]);
-        addVertex(value[tri + 2]);
+        addVertex(corners[0]);
+        addVertex(corners[tri + 1]);
+        addVertex(corners[tri + 2]);
+      }
+      geometry.elementCount += 1;
+    },
+
+    /**
+     * Parses a polyline and stores it as line segments.
+     * @param {string[]} value - Array containing vertex and optional texture coordinate indices.
+     */
+    l(value) {
+      const corners = resolveElement(value, 2);
+      if (!corners) return;
+
+      setGeometry('lines');
+      for (let i = 0; i < corners.length - 1; ++i) {
+        addVertex(corners[i]);
+        addVertex(corners[i + 1]);
       }
+      geometry.elementCount += 1;
+    },
+
+    /**
+     * Parses point elements.
+     * @param {string[]} value - Array containing vertex indices.
+     */
+    p(value) {
+      const corners = resolveElement(value, 1);
+      if (!corners) return;
+
+      setGeometry('points');
+      corners.forEach(addVertex);
+      geometry.elementCount += 1;
     },
 
-    /** 
-     * Handles smoothing group definitions (not implemented).
+    /**
+     * Sets the smoothing group of the following faces; `off` and `0` mean flat shading.
+     * @param {string[]} value - Array containing the smoothing group number or `off`.
      */
-    s: noop,
+    s(value) {
+      smoothingGroup = value[0] === 'off' ? 0 : parseInt(value[0]) || 0;
+    },
 
-    /** 
+    /**
      * Adds a material library file reference.
      * @param {string[]} value - Array containing material library names.
      * @param {string} RawValue - Full string of the material library line in the OBJ file.
@@ -145,7 +297,7 @@ const ParseObjFile = (text) => {
       materialLibs.push(RawValue);
     },
 
-    /** 
+    /**
      * Specifies the material to use for the following geometry.
      * @param {string[]} value - Array containing the material name.
      */
@@ -154,7 +306,7 @@ const ParseObjFile = (text) => {
       newGeometry();
     },
 
-    /** 
+    /**
      * Sets geometry group names.
      * @param {string[]} value - Array containing group names.
      */
@@ -163,7 +315,7 @@ const ParseObjFile = (text) => {
       newGeometry();
     },
 
-    /** 
+    /**
      * Defines an object name.
      * @param {string[]} value - Array containing the object name.
      */
@@ -174,7 +326,7 @@ const ParseObjFile = (text) => {
   };
 
   const keywordRegex = /(\w*)(?: )*(.*)/;
-  text.split('\n').forEach(line => {
+  text.split('\n').forEach((line, lineIndex) => {
     line = line.trim();
     if (line === '' || line.startsWith('#')) return;
 
@@ -185,14 +337,32 @@ const ParseObjFile = (text) => {
     const value = line.split(/\s+/).slice(1);
     const handler = keywords[keyword];
 
+    lineNumber = lineIndex + 1;
+    currentKeyword = keyword;
+
     if (!handler) {
-      console.warn('Unknown Object keywords:', keyword);
+      report('warning', `unknown keyword "${keyword}"`);
       return;
     }
 
     handler(value, RawArguments);
   });
 
+  geometries.forEach((geometry) => {
+    // A single polyline is kept connected so it can be drawn as one strip
+    if (geometry.primitive === 'lines' && geometry.elementCount === 1 && geometry.corners.length > 2) {
+      geometry.primitive = 'lineStrip';
+      geometry.corners = geometry.corners.filter((corner, i) => i === 0 || i % 2 === 1);
+    }
+
+    if (geometry.primitive === 'triangles' && geometry.corners.some(corner => !corner.normal)) {
+      generateNormals(geometry.corners, creaseAngle);
+    }
+    writeGeometryData(geometry, indexed);
+    delete geometry.corners;
+    delete geometry.elementCount;
+  });
+
   // Remove empty arrays from geometry data
   geometries.forEach((geometry) => {
     Object.keys(geometry.data).forEach((key) => {
@@ -205,14 +375,184 @@ const ParseObjFile = (text) => {
   return {
     geometries,
     materialLibs,
+    diagnostics,
   };
 };
 
 /**
- * Starts a new geometry if the current one is not empty.
+ * Writes collected face corners into the `data` arrays of a geometry.
+ * In indexed mode identical corners are stored once and referenced from `data.indices`.
+ * @param {Object} geometry - Geometry with `corners` and empty `data` arrays.
+ * @param {boolean} indexed - Whether to deduplicate vertices and emit indices.
  */
-const newGeometry = () => {
-  if (geometry && geometry.data.position.length) {
-    geometry = undefined;
+const writeGeometryData = (geometry, indexed) => {
+  const { data } = geometry;
+  const attributeNames = ['position', 'texcoord', 'normal', 'color'];
+  const vertexLookup = new Map();
+
+  if (indexed) {
+    data.indices = [];
   }
-};
\ No newline at end of file
+
+  geometry.corners.forEach((corner) => {
+    if (indexed) {
+      const key = attributeNames
+        .map(name => corner[name] ? Array.from(corner[name]).join(',') : '')
+        .join('|');
+      const existing = vertexLookup.get(key);
+
+      if (existing !== undefined) {
+        data.indices.push(existing);
+        return;
+      }
+
+      const newIndex = data.position.length / 3;
+      vertexLookup.set(key, newIndex);
+      data.indices.push(newIndex);
+    }
+
+    attributeNames.forEach((name) => {
+      if (corner[name]) {
+        data[name].push(...corner[name]);
+      }
+    });
+  });
+};
+
+/**
+ * Writes parsed OBJ data back to OBJ text.
+ * Geometries are written in order, with `o`, `g` and `usemtl` statements where
+ * their object, groups or material change. Identical positions, texture
+ * coordinates and normals are written once and shared by index across all geometries.
+ * @param {Object} obj - Parsed OBJ data with `geometries` and `materialLibs`, e.g. from `ParseObjFile`.
+ * @param {Object} [options] - Writer options.
+ * @param {number} [options.precision=6] - Digits after the decimal point; trailing zeros are dropped.
+ * @param {Matrix4} [options.worldMatrix] - Transform baked into positions and normals, e.g. a scene node's `worldMatrix`.
+ * @param {string[]} [options.materialLibs] - `mtllib` files to reference instead of `obj.materialLibs`.
+ * @returns {string} The OBJ text.
+ */
+const WriteObjFile = (obj, { precision = 6, worldMatrix = null, materialLibs = obj.materialLibs || [] } = {}) => {
+  const formatNumber = value => String(Number(value.toFixed(precision)) + 0); // + 0 turns -0 into 0
+  const formatNumbers = values => Array.from(values, formatNumber).join(' ');
+
+  const normalMatrix = worldMatrix && m3.normalFromMat4(worldMatrix);
+  // A mirroring transform flips the winding, so faces are written in reverse
+  const mirrored = worldMatrix !== null && m3.determinant(m3.fromMat4(worldMatrix)) < 0;
+
+  /**
+   * Gets the per-vertex colors of geometry data, which `setupGeometry` may have
+   * wrapped as an attribute.
+   * @param {Array|Object} [color] - The `data.color` of a geometry.
+   * @returns {number[]|null} Three values per vertex, or null if there are none.
+   */
+  const getColors = (color) => {
+    const values = color && (color.data || color);
+    return Array.isArray(values) || ArrayBuffer.isView(values) ? values : null;
+  };
+
+  // Colors are part of `v` statements, so either every position has one or none does
+  const hasColors = obj.geometries.some(({ data }) => getColors(data.color));
+
+  const statements = {
+    v: [],
+    vt: [],
+    vn: [],
+  };
+  const lookups = {
+    v: new Map(),
+    vt: new Map(),
+    vn: new Map(),
+  };
+
+  /**
+   * Adds a vertex statement unless an identical one exists.
+   * @param {string} keyword - `v`, `vt` or `vn`.
+   * @param {string} args - The formatted arguments.
+   * @returns {number} The 1-based index of the statement.
+   */
+  const addStatement = (keyword, args) => {
+    let index = lookups[keyword].get(args);
+    if (index === undefined) {
+      statements[keyword].push(`${keyword} ${args}`);
+      index = statements[keyword].length;
+      lookups[keyword].set(args, index);
+    }
+    return index;
+  };
+
+  const elementLines = [];
+  let object = 'default';
+  let groups = 'default';
+  let material = 'default';
+
+  obj.geometries.forEach((geometry) => {
+    const { position, texcoord, normal, indices } = geometry.data;
+    const colors = getColors(geometry.data.color);
+    const numVertices = position.length / 3;
+
+    if (geometry.object !== object) {
+      object = geometry.object;
+      elementLines.push(`o ${object}`);
+    }
+    if (geometry.groups.join(' ') !== groups) {
+      groups = geometry.groups.join(' ');
+      elementLines.push(`g ${groups}`);
+    }
+    if (geometry.material !== material) {
+      material = geometry.material;
+      elementLines.push(`usemtl ${material}`);
+    }
+
+    // The `v/vt/vn` reference of every vertex of the geometry
+    const references = [];
+    for (let i = 0; i < numVertices; ++i) {
+      let p = position.slice(i * 3, i * 3 + 3);
+      if (worldMatrix) {
+        p = m4.transformPoint(worldMatrix, p, []);
+      }
+      const c = colors ? colors.slice(i * 3, i * 3 + 3) : [1, 1, 1];
+      const v = addStatement('v', formatNumbers(hasColors ? [...p, ...c] : p));
+      const vt = texcoord ? addStatement('vt', formatNumbers(texcoord.slice(i * 2, i * 2 + 2))) : '';
+
+      let vn = '';
+      if (normal) {
+        let n = normal.slice(i * 3, i * 3 + 3);
+        if (normalMatrix) {
+          n = vec3.normalize(vec3.transformMat3(n, normalMatrix, []), []);
+        }
+        vn = addStatement('vn', formatNumbers(n));
+      }
+
+      references.push(vn ? `${v}/${vt}/${vn}` : vt ? `${v}/${vt}` : `${v}`);
+    }
+
+    const corners = indices ? Array.from(indices, i => references[i]) : references;
+    switch (geometry.primitive) {
+      case 'triangles':
+        for (let i = 0; i + 2 < corners.length; i += 3) {
+          const face = corners.slice(i, i + 3);
+          elementLines.push(`f ${(mirrored ? face.reverse() : face).join(' ')}`);
+        }
+        break;
+      case 'lines':
+        for (let i = 0; i + 1 < corners.length; i += 2) {
+          elementLines.push(`l ${corners[i]} ${corners[i + 1]}`);
+        }
+        break;
+      case 'lineStrip':
+        elementLines.push(`l ${corners.join(' ')}`);
+        break;
+      case 'points':
+        elementLines.push(`p ${corners.join(' ')}`);
+        break;
+    }
+  });
+
+  return [
+    ...materialLibs.map(lib => `mtllib ${lib}`),
+    ...statements.v,
+    ...statements.vt,
+    ...statements.vn,
+    ...elementLines,
+  ].join('\n') + '\n';
+};
@@ -0,0 +1,332 @@
+"use strict";
+
+/** Size and DataView getter of each PLY property type, under its old and new names */
+const PLY_TYPES = {
+  char: { size: 1, read: 'getInt8' },
+  uchar: { size: 1, read: 'getUint8' },
+  short: { size: 2, read: 'getInt16' },
+  ushort: { size: 2, read: 'getUint16' },
+  int: { size: 4, read: 'getInt32' },
+  uint: { size: 4, read: 'getUint32' },
+  float: { size: 4, read: 'getFloat32' },
+  double: { size: 8, read: 'getFloat64' },
+  int8: { size: 1, read: 'getInt8' },
+  uint8: { size: 1, read: 'getUint8' },
+  int16: { size: 2, read: 'getInt16' },
+  uint16: { size: 2, read: 'getUint16' },
+  int32: { size: 4, read: 'getInt32' },
+  uint32: { size: 4, read: 'getUint32' },
+  float32: { size: 4, read: 'getFloat32' },
+  float64: { size: 8, read: 'getFloat64' },
+};
+
+/**
+ * Parses a PLY file in ASCII or binary (little- or big-endian) format.
+ * Vertices keep their `x/y/z`, `nx/ny/nz` and `red/green/blue` properties;
+ * integer colors are scaled to [0, 1]. Faces are triangulated as fans and
+ * meshes without normals get smooth, area-weighted vertex normals. A file
+ * without faces becomes a point cloud.
+ * @param {ArrayBuffer} arrayBuffer - The contents of the PLY file.
+ * @param {Object} [options] - Parser options.
+ * @param {boolean} [options.strict=false] - Throw on the first error instead of skipping the element.
+ * @returns {Object} One indexed geometry (or none for an empty file) and diagnostics.
+ */
+const ParsePlyFile = (arrayBuffer, { strict = false } = {}) => {
+  /** Problems found while parsing, in line order */
+  const diagnostics = [];
+  let lineNumber = 0;
+  let currentKeyword = '';
+
+  /**
+   * Records a diagnostic for the line being parsed; errors throw in strict mode.
+   * Problems in binary data are reported at the header line of their element.
+   * @param {string} severity - Either `error` or `warning`.
+   * @param {string} message - Description of the problem.
+   */
+  const report = (severity, message) => {
+    const diagnostic = { severity, line: lineNumber, keyword: currentKeyword, message };
+    diagnostics.push(diagnostic);
+
+    if (strict && severity === 'error') {
+      const error = new Error(`PLY line ${lineNumber} (${currentKeyword}): ${message}`);
+      error.diagnostic = diagnostic;
+      throw error;
+    }
+  };
+
+  // The header is ASCII up to and including the `end_header` line
+  const bytes = new Uint8Array(arrayBuffer);
+  const headerText = new TextDecoder('latin1').decode(bytes.subarray(0, Math.min(bytes.length, 65536)));
+  const headerEnd = /end_header[ \t]*\r?\n/.exec(headerText);
+  if (!headerText.startsWith('ply') || !headerEnd) {
+    report('error', 'missing "ply" magic or "end_header" line');
+    return { geometries: [], diagnostics };
+  }
+
+  const header = headerText.slice(0, headerEnd.index + headerEnd[0].length);
+  let format = null;
+  const elements = [];
+
+  const headerKeywords = {
+    /**
+     * Sets the data format.
+     * @param {string[]} value - The format name and version.
+     */
+    format(value) {
+      format = value[0];
+      if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(format)) {
+        report('error', `unknown format "${format}"`);
+        format = null;
+      }
+    },
+
+    /**
+     * Declares an element and the number of its instances.
+     * @param {string[]} value - The element name and count.
+     */
+    element(value) {
+      const count = parseInt(value[1]);
+      if (!value[0] || !(count >= 0)) {
+        report('error', `invalid element declaration "${value.join(' ')}"`);
+        return;
+      }
+      elements.push({ name: value[0], count, properties: [], line: lineNumber });
+    },
+
+    /**
+     * Declares a scalar or list property of the last element.
+     * @param {string[]} value - The type (or `list`, count type and item type) and name.
+     */
+    property(value) {
+      const element = elements[elements.length - 1];
+      const isList = value[0] === 'list';
+      const [countType, type, name] = isList ? value.slice(1) : [null, ...value];
+
+      if (!element) {
+        report('error', 'property is not inside an element');
+      } else if (!PLY_TYPES[type] || (isList && !PLY_TYPES[countType]) || !name) {
+        report('error', `invalid property declaration "${value.join(' ')}"`);
+        // Later binary data can't be located without the sizes, so stop reading the element
+        element.invalid = true;
+      } else {
+        element.properties.push({ name, type: PLY_TYPES[type], countType: isList ? PLY_TYPES[countType] : null });
+      }
+    },
+
+    // Comments and metadata carry nothing to render
+    comment() {},
+    obj_info() {},
+    ply() {},
+    end_header() {},
+  };
+
+  header.split('\n').forEach((line, lineIndex) => {
+    const [keyword, ...value] = line.trim().split(/\s+/);
+    if (!keyword) return;
+
+    lineNumber = lineIndex + 1;
+    currentKeyword = keyword;
+
+    const handler = headerKeywords[keyword];
+    if (!handler) {
+      report('warning', `unknown keyword "${keyword}"`);
+      return;
+    }
+    handler(value);
+  });
+
+  if (!format) {
+    report('error', 'missing format');
+    return { geometries: [], diagnostics };
+  }
+
+  // Every element instance is read as an object of its property values; lists as arrays.
+  // The header was decoded one character per byte, so its length is the body's offset
+  const bodyOffset = header.length;
+  const data = {};
+
+  if (format === 'ascii') {
+    const lines = new TextDecoder().decode(bytes.subarray(bodyOffset)).split('\n');
+    const headerLines = header.split('\n').length - 1;
+    let lineIndex = 0;
+
+    for (const element of elements) {
+      lineNumber = element.line;
+      currentKeyword = 'element';
+      data[element.name] = [];
+      if (element.invalid) break;
+
+      for (let i = 0; i < element.count; ++i) {
+        // Skip blank lines between instances
+        while (lineIndex < lines.length && !lines[lineIndex].trim()) ++lineIndex;
+        if (lineIndex >= lines.length) {
+          report('error', `data ends after ${i} of ${element.count} ${element.name} elements`);
+          break;
+        }
+
+        lineNumber = headerLines + lineIndex + 1;
+        currentKeyword = element.name;
+        const tokens = lines[lineIndex++].trim().split(/\s+/).map(Number);
+        const instance = {};
+        let t = 0;
+
+        element.properties.forEach(({ name, countType }) => {
+          if (countType) {
+            const count = tokens[t++];
+            instance[name] = tokens.slice(t, t + count);
+            t += count;
+          } else {
+            instance[name] = tokens[t++];
+          }
+        });
+
+        if (t > tokens.length || tokens.some(Number.isNaN)) {
+          report('error', `invalid ${element.name} values`);
+          // Invalid entries are still stored so later indices keep pointing at the right vertices
+          element.properties.forEach(({ name, countType }) => {
+            instance[name] = countType ? [] : 0;
+          });
+        }
+        data[element.name].push(instance);
+      }
+    }
+  } else {
+    const view = new DataView(arrayBuffer);
+    const littleEndian = format === 'binary_little_endian';
+    let offset = bodyOffset;
+
+    /**
+     * Reads one value of a property type and advances the offset.
+     * @param {Object} type - Entry of `PLY_TYPES`.
+     * @returns {number} The value.
+     */
+    const readValue = (type) => {
+      const value = view[type.read](offset, littleEndian);
+      offset += type.size;
+      return value;
+    };
+
+    for (const element of elements) {
+      lineNumber = element.line;
+      currentKeyword = 'element';
+      data[element.name] = [];
+      if (element.invalid) break;
+
+      try {
+        for (let i = 0; i < element.count; ++i) {
+          const instance = {};
+          element.properties.forEach(({ name, type, countType }) => {
+            if (countType) {
+              const count = readValue(countType);
+              instance[name] = Array.from({ length: count }, () => readValue(type));
+            } else {
+              instance[name] = readValue(type);
+            }
+          });
+          data[element.name].push(instance);
+        }
+      } catch (error) {
+        // DataView throws a RangeError past the end of the buffer
+        if (!(error instanceof RangeError)) throw error;
+        report('error', `data ends after ${data[element.name].length} of ${element.count} ${element.name} elements`);
+        break;
+      }
+    }
+  }
+
+  const vertices = data.vertex || [];
+  if (!vertices.length) {
+    return { geometries: [], diagnostics };
+  }
+
+  const vertexElement = elements.find(element => element.name === 'vertex');
+  const has = name => vertexElement.properties.some(property => property.name === name);
+  if (!has('x') || !has('y') || !has('z')) {
+    lineNumber = vertexElement.line;
+    currentKeyword = 'element';
+    report('error', 'vertex element has no x, y and z properties');
+    return { geometries: [], diagnostics };
+  }
+  const colorType = (vertexElement.properties.find(property => property.name === 'red') || {}).type;
+  const colorScale = colorType && colorType.read !== 'getFloat32' && colorType.read !== 'getFloat64'
+    ? 1 / (2 ** (colorType.size * 8) - 1)
+    : 1;
+
+  const geometryData = { position: [] };
+  if (has('nx')) geometryData.normal = [];
+  if (has('red')) geometryData.color = [];
+
+  vertices.forEach((vertex) => {
+    geometryData.position.push(vertex.x, vertex.y, vertex.z);
+    if (geometryData.normal) geometryData.normal.push(vertex.nx, vertex.ny, vertex.nz);
+    if (geometryData.color) geometryData.color.push(...[vertex.red, vertex.green, vertex.blue].map(c => c * colorScale));
+  });
+
+  // Faces are fans; `vertex_indices` is the usual name and `vertex_index` a common variant
+  lineNumber = (elements.find(element => element.name === 'face') || {}).line || 0;
+  currentKeyword = 'element';
+  const indices = [];
+  (data.face || []).forEach((face) => {
+    const faceIndices = face.vertex_indices || face.vertex_index || [];
+    if (faceIndices.some(index => !(index >= 0 && index < vertices.length))) {
+      report('error', 'face index is out of range');
+      return;
+    }
+    for (let i = 2; i < faceIndices.length; ++i) {
+      indices.push(faceIndices[0], faceIndices[i - 1], faceIndices[i]);
+    }
+  });
+
+  const primitive = indices.length ? 'triangles' : 'points';
+  if (indices.length) {
+    geometryData.indices = indices;
+    if (!geometryData.normal) {
+      geometryData.normal = generateVertexNormals(geometryData.position, indices);
+    }
+  }
+
+  return {
+    geometries: [{
+      object: 'default',
+      groups: ['default'],
+      material: 'default',
+      primitive,
+      data: geometryData,
+    }],
+    diagnostics,
+  };
+};
+
+/**
+ * Computes smooth vertex normals of an indexed triangle mesh, weighting every
+ * face by its area.
+ * @param {number[]} position - Vertex positions, 3 per vertex.
+ * @param {number[]} indices - Triangle vertex indices.
+ * @returns {number[]} Unit normals, 3 per vertex; zero for vertices of no face.
+ */
+const generateVertexNormals = (position, indices) => {
+  const normals = new Array(position.length).fill(0);
+  const getPosition = index => position.slice(index * 3, index * 3 + 3);
+
+  for (let i = 0; i + 2 < indices.length; i += 3) {
+    const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]];
+    const edge1 = m4.subtractVectors(getPosition(b), getPosition(a), []);
+    const edge2 = m4.subtractVectors(getPosition(c), getPosition(a), []);
+    // The cross product's length is twice the face area, which gives the weighting
+    const faceNormal = m4.cross(edge1, edge2, []);
+    [a, b, c].forEach((vertex) => {
+      for (let k = 0; k < 3; ++k) {
+        normals[vertex * 3 + k] += faceNormal[k];
+      }
+    });
+  }
+
+  for (let i = 0; i < normals.length; i += 3) {
+    // Divided here because m4.normalize would zero the normals of very small faces
+    const length = m4.length(normals.slice(i, i + 3));
+    for (let k = 0; k < 3; ++k) {
+      normals[i + k] = length > 0 ? normals[i + k] / length : 0;
+    }
+  }
+  return normals;
+};
@@ -0,0 +1,196 @@
+"use strict";
+
+/**
+ * Parses an STL file, ASCII or binary.
+ * A file is read as binary when its size matches the triangle count in its
+ * header, since binary headers may also start with `solid`.
+ * Every triangle gets its face normal, computed from the winding; the facet
+ * normal stored in the file is only used for degenerate triangles.
+ * @param {ArrayBuffer} arrayBuffer - The contents of the STL file.
+ * @param {Object} [options] - Parser options.
+ * @param {boolean} [options.strict=false] - Throw on the first error instead of skipping the statement.
+ * @returns {Object} Non-indexed triangle geometries, one per ASCII `solid` with triangles, and diagnostics.
+ */
+const ParseStlFile = (arrayBuffer, { strict = false } = {}) => {
+  const geometries = [];
+
+  /** Problems found while parsing, in line order */
+  const diagnostics = [];
+  let lineNumber = 0;
+  let currentKeyword = '';
+
+  /**
+   * Records a diagnostic for the line being parsed; errors throw in strict mode.
+   * @param {string} severity - Either `error` or `warning`.
+   * @param {string} message - Description of the problem.
+   */
+  const report = (severity, message) => {
+    const diagnostic = { severity, line: lineNumber, keyword: currentKeyword, message };
+    diagnostics.push(diagnostic);
+
+    if (strict && severity === 'error') {
+      const error = new Error(`STL line ${lineNumber} (${currentKeyword}): ${message}`);
+      error.diagnostic = diagnostic;
+      throw error;
+    }
+  };
+
+  /**
+   * Adds a new, empty geometry.
+   * @param {string} name - The solid name, used as the object name.
+   * @returns {Object} The geometry.
+   */
+  const addGeometry = (name) => {
+    const geometry = {
+      object: name || 'default',
+      groups: ['default'],
+      material: 'default',
+      primitive: 'triangles',
+      data: {
+        position: [],
+        normal: [],
+      },
+    };
+    geometries.push(geometry);
+    return geometry;
+  };
+
+  /**
+   * Adds a triangle with its face normal to a geometry.
+   * @param {Object} geometry - The geometry to add to.
+   * @param {number[][]} vertices - The three vertex positions.
+   * @param {number[]} facetNormal - The normal stored in the file.
+   */
+  const addTriangle = (geometry, vertices, facetNormal) => {
+    const edge1 = m4.subtractVectors(vertices[1], vertices[0], []);
+    const edge2 = m4.subtractVectors(vertices[2], vertices[0], []);
+    const cross = m4.cross(edge1, edge2, []);
+    // Divided here because m4.normalize would zero the normals of very small triangles
+    const length = m4.length(cross);
+    const normal = length > 0 ? cross.map(v => v / length) : m4.normalize(facetNormal, [0, 0, 0]);
+
+    vertices.forEach((vertex) => {
+      geometry.data.position.push(...vertex);
+      geometry.data.normal.push(...normal);
+    });
+  };
+
+  /**
+   * Drops geometries without triangles and reports a file that has none.
+   * @returns {Object} The geometries and diagnostics.
+   */
+  const getResult = () => {
+    const nonEmpty = geometries.filter(({ data }) => data.position.length);
+    if (!nonEmpty.length) {
+      lineNumber = 0;
+      currentKeyword = '';
+      report('warning', 'file has no triangles');
+    }
+    return { geometries: nonEmpty, diagnostics };
+  };
+
+  const view = new DataView(arrayBuffer);
+  // Files shorter than the header are never binary
+  const triangleCount = arrayBuffer.byteLength >= 84 ? view.getUint32(80, true) : 0;
+
+  if (arrayBuffer.byteLength >= 84 && 84 + triangleCount * 50 === arrayBuffer.byteLength) {
+    // 80 byte header, triangle count, then 50 bytes per triangle:
+    // normal, three vertices (12 little-endian floats) and a 2 byte attribute
+    const geometry = addGeometry('default');
+    const readVector = offset => [0, 1, 2].map(i => view.getFloat32(offset + i * 4, true));
+
+    for (let i = 0; i < triangleCount; ++i) {
+      const offset = 84 + i * 50;
+      addTriangle(geometry, [readVector(offset + 12), readVector(offset + 24), readVector(offset + 36)], readVector(offset));
+    }
+    return getResult();
+  }
+
+  const text = new TextDecoder().decode(arrayBuffer);
+  if (!/^\s*solid\b/.test(text)) {
+    report('error', 'file is neither ASCII STL nor binary STL of the size its header gives');
+    return { geometries, diagnostics };
+  }
+
+  let geometry;
+  let facetNormal = [0, 0, 0];
+  let vertices = [];
+
+  /**
+   * Parses the 3 numbers of a `facet normal` or `vertex` statement.
+   * @param {string[]} value - The arguments to parse.
+   * @returns {number[]|null} The numbers, or null if they are invalid.
+   */
+  const parseVector = (value) => {
+    const numbers = value.slice(0, 3).map(parseFloat);
+    if (numbers.length < 3 || numbers.some(Number.isNaN)) {
+      report('error', `expected 3 numbers, got "${value.join(' ')}"`);
+      return null;
+    }
+    return numbers;
+  };
+
+  const keywords = {
+    /**
+     * Starts a solid, which becomes its own geometry.
+     * @param {string[]} value - Array containing the optional solid name.
+     */
+    solid(value) {
+      geometry = addGeometry(value.join(' '));
+    },
+
+    /**
+     * Starts a facet and reads its stored normal.
+     * @param {string[]} value - `normal` followed by the normal vector.
+     */
+    facet(value) {
+      facetNormal = (value[0] === 'normal' && parseVector(value.slice(1))) || [0, 0, 0];
+      vertices = [];
+    },
+
+    /**
+     * Adds a vertex to the current facet.
+     * @param {string[]} value - Array containing the position.
+     */
+    vertex(value) {
+      const vertex = parseVector(value);
+      if (vertex) {
+        vertices.push(vertex);
+      }
+    },
+
+    /**
+     * Ends a facet and adds its triangle.
+     */
+    endfacet() {
+      if (vertices.length !== 3) {
+        report('error', `facet has ${vertices.length} valid vertices instead of 3`);
+        return;
+      }
+      geometry = geometry || addGeometry('default');
+      addTriangle(geometry, vertices, facetNormal);
+    },
+
+    // Loop and solid ends carry no data
+    outer() {},
+    endloop() {},
+    endsolid() {},
+  };
+
+  text.split('\n').forEach((line, lineIndex) => {
+    const [keyword, ...value] = line.trim().split(/\s+/);
+    if (!keyword) return;
+
+    lineNumber = lineIndex + 1;
+    currentKeyword = keyword;
+
+    const handler = keywords[keyword];
+    if (!handler) {
+      report('warning', `unknown keyword "${keyword}"`);
+      return;
+    }
+    handler(value);
+  });
+
+  return getResult();
+};
@@ -0,0 +1,59 @@
+"use strict";
+
+/**
+ * Fills in the normal of every face corner that has none.
+ * Corners sharing a position and a non-zero smoothing group are averaged,
+ * weighted by the face angle at that corner so triangulated polygons don't
+ * count twice; smoothing group 0 gives the flat face normal.
+ * Shared by the OBJ and glTF parsers, so this file loads before both.
+ * @param {Array<Object>} corners - Triangle corners, three per face.
+ * @param {number} [creaseAngle] - Faces further apart than this angle in degrees are not averaged.
+ */
+const generateNormals = (corners, creaseAngle) => {
+  const faceNormals = [];
+  const cornerAngles = [];
+  for (let i = 0; i < corners.length; i += 3) {
+    const positions = [corners[i], corners[i + 1], corners[i + 2]].map(corner => corner.position);
+    const edge1 = m4.subtractVectors(positions[1], positions[0], []);
+    const edge2 = m4.subtractVectors(positions[2], positions[0], []);
+    faceNormals.push(m4.normalize(m4.cross(edge1, edge2, []), [0, 0, 0]));
+
+    positions.forEach((position, ndx) => {
+      const toNext = m4.normalize(m4.subtractVectors(positions[(ndx + 1) % 3], position, []), [0, 0, 0]);
+      const toPrev = m4.normalize(m4.subtractVectors(positions[(ndx + 2) % 3], position, []), [0, 0, 0]);
+      cornerAngles.push(Math.acos(Math.min(1, Math.max(-1, m4.dot(toNext, toPrev)))));
+    });
+  }
+
+  // Corners at each position within one smoothing group
+  const smoothCorners = new Map();
+  corners.forEach((corner, i) => {
+    if (!corner.smoothingGroup) return;
+
+    const key = `${corner.positionIndex}|${corner.smoothingGroup}`;
+    if (!smoothCorners.has(key)) {
+      smoothCorners.set(key, []);
+    }
+    smoothCorners.get(key).push(i);
+  });
+
+  const minCos = creaseAngle === undefined ? -Infinity : Math.cos(creaseAngle * Math.PI / 180);
+
+  corners.forEach((corner, i) => {
+    if (corner.normal) return;
+
+    const faceNormal = faceNormals[Math.floor(i / 3)];
+    if (!corner.smoothingGroup) {
+      corner.normal = faceNormal;
+      return;
+    }
+
+    const sum = [0, 0, 0];
+    smoothCorners.get(`${corner.positionIndex}|${corner.smoothingGroup}`).forEach((other) => {
+      const otherNormal = faceNormals[Math.floor(other / 3)];
+      if (other !== i && m4.dot(faceNormal, otherNormal) < minCos) return;
+      m4.addVectors(sum, m4.scaleVector(otherNormal, cornerAngles[other], []), sum);
+    });
+    corner.normal = m4.normalize(sum, [0, 0, 0]);
+  });
+};
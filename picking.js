@@ -0,0 +1,177 @@
+"use strict";
+
+/** Offscreen framebuffer of each context that ID colors are rendered into, sized to the canvas */
+const pickingTargets = new WeakMap();
+
+/** De-indexed positions with a per-triangle ID color for each picked part */
+const triangleIdBufferInfos = new WeakMap();
+
+/**
+ * Encodes a non-negative integer ID as an RGBA color; alpha marks the pixel as hit.
+ * @param {number} id - ID below 2^24.
+ * @returns {number[]} Color with components in [0, 1].
+ */
+const idToColor = (id) => {
+  return [id & 0xFF, (id >> 8) & 0xFF, (id >> 16) & 0xFF, 0xFF].map(c => c / 0xFF);
+};
+
+/**
+ * Decodes an ID read back with `gl.readPixels`.
+ * @param {Uint8Array} pixel - RGBA bytes.
+ * @returns {number} The ID, or -1 if nothing was drawn at the pixel.
+ */
+const colorToId = (pixel) => {
+  return pixel[3] ? pixel[0] | (pixel[1] << 8) | (pixel[2] << 16) : -1;
+};
+
+/**
+ * Gets the picking framebuffer of a context, resizing it to the drawing buffer.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @returns {Object} The framebuffer and its width and height.
+ */
+const getPickingTarget = (gl) => {
+  const { drawingBufferWidth: width, drawingBufferHeight: height } = gl;
+  let target = pickingTargets.get(gl);
+
+  if (!target) {
+    target = {
+      framebuffer: gl.createFramebuffer(),
+      texture: gl.createTexture(),
+      depthBuffer: gl.createRenderbuffer(),
+      width: 0,
+      height: 0,
+    };
+    gl.bindTexture(gl.TEXTURE_2D, target.texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    pickingTargets.set(gl, target);
+  }
+
+  if (target.width !== width || target.height !== height) {
+    gl.bindTexture(gl.TEXTURE_2D, target.texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.bindRenderbuffer(gl.RENDERBUFFER, target.depthBuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, target.depthBuffer);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    target.width = width;
+    target.height = height;
+  }
+
+  return target;
+};
+
+/**
+ * Builds a non-indexed copy of a triangle part whose vertices carry their triangle's ID color.
+ * Cached per part, since it is only needed once a part has been picked.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {Object} part - Part from `setupGeometry`, with its vertex `data`.
+ * @returns {Object} Buffer info with `a_position` and `a_pickColor` attributes.
+ */
+const getTriangleIdBufferInfo = (gl, part) => {
+  if (!triangleIdBufferInfos.has(part)) {
+    const { position, indices } = part.data;
+    const numVertices = indices ? indices.length : position.length / 3;
+    const positions = [];
+    const colors = [];
+
+    for (let i = 0; i < numVertices; ++i) {
+      const vertex = indices ? indices[i] : i;
+      positions.push(position[vertex * 3], position[vertex * 3 + 1], position[vertex * 3 + 2]);
+      colors.push(...idToColor(Math.floor(i / 3)));
+    }
+
+    triangleIdBufferInfos.set(part, {
+      attribs: {
+        a_position: { buffer: createBuffer(gl, positions, gl.ARRAY_BUFFER), numComponents: 3 },
+        a_pickColor: { buffer: createBuffer(gl, colors, gl.ARRAY_BUFFER), numComponents: 4 },
+      },
+      numElements: numVertices,
+    });
+  }
+  return triangleIdBufferInfos.get(part);
+};
+
+/**
+ * Renders ID colors into the picking framebuffer and reads back the ID at one pixel.
+ * Only that pixel is drawn, through the scissor test.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {number} x - Pixel column from the left of the drawing buffer.
+ * @param {number} y - Pixel row from the bottom of the drawing buffer.
+ * @param {Function} draw - Draws the ID-colored geometry.
+ * @returns {number} The ID at the pixel, or -1 for the background.
+ */
+const readPickId = (gl, x, y, draw) => {
+  const target = getPickingTarget(gl);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+  gl.viewport(0, 0, target.width, target.height);
+  gl.enable(gl.SCISSOR_TEST);
+  gl.scissor(x, y, 1, 1);
+  gl.enable(gl.DEPTH_TEST);
+  gl.disable(gl.BLEND);
+  gl.clearColor(0, 0, 0, 0);
+  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+  draw();
+
+  const pixel = new Uint8Array(4);
+  gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+
+  gl.disable(gl.SCISSOR_TEST);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  return colorToId(pixel);
+};
+
+/**
+ * Finds the draw item and triangle under a pixel by rendering every item, then
+ * the hit item's triangles, in unique ID colors.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} pickProgram - Program drawing `a_pickColor` with `u_world`, `u_view` and `u_projection`.
+ * @param {Array<Object>} drawItems - Items with a `part` and `worldMatrix`, as drawn by `drawScene`.
+ * @param {Object} camera - The `view` and `projection` matrices the scene was drawn with.
+ * @param {number} x - Pixel column from the left of the drawing buffer.
+ * @param {number} y - Pixel row from the bottom of the drawing buffer.
+ * @returns {Object|null} The hit `item` and `triangle` index (null for lines and points), or null for the background.
+ */
+const pickDrawItem = (gl, pickProgram, drawItems, { view, projection }, x, y) => {
+  const { attribLocations } = getProgramInfo(gl, pickProgram);
+  gl.useProgram(pickProgram);
+  setUniforms(gl, pickProgram, { u_view: view, u_projection: projection });
+
+  // IDs start at 1 so a cleared pixel never decodes to an item
+  const itemId = readPickId(gl, x, y, () => {
+    drawItems.forEach(({ part: { bufferInfo, mode }, worldMatrix }, ndx) => {
+      bindBufferInfo(gl, pickProgram, bufferInfo);
+      // The ID is a constant attribute, so whole parts share one color
+      gl.disableVertexAttribArray(attribLocations.a_pickColor);
+      gl.vertexAttrib4fv(attribLocations.a_pickColor, idToColor(ndx + 1));
+      setUniforms(gl, pickProgram, { u_world: worldMatrix });
+      drawBufferInfo(gl, bufferInfo, mode);
+    });
+    bindVertexArray(gl, null);
+  });
+
+  const item = drawItems[itemId - 1];
+  if (!item) {
+    return null;
+  }
+
+  if (item.part.mode !== gl.TRIANGLES) {
+    return { item, triangle: null };
+  }
+
+  const triangle = readPickId(gl, x, y, () => {
+    const bufferInfo = getTriangleIdBufferInfo(gl, item.part);
+    bindBufferInfo(gl, pickProgram, bufferInfo);
+    setUniforms(gl, pickProgram, { u_world: item.worldMatrix });
+    drawBufferInfo(gl, bufferInfo, gl.TRIANGLES);
+    bindVertexArray(gl, null);
+  });
+
+  return { item, triangle: triangle >= 0 ? triangle : null };
+};
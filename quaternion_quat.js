@@ -0,0 +1,382 @@
+/**
+ * Quaternion math for rotations, using [x, y, z, w] order like `m4.compose`.
+ *
+ * @module webgl-quat
+ */
+(function(root, factory) {  // eslint-disable-line
+    if (typeof define === 'function' && define.amd) {
+      // AMD. Register as an anonymous module.
+      define([], factory);
+    } else {
+      // Browser globals
+      root.quat = factory();
+    }
+  }(this, function() {
+    "use strict";
+
+    /**
+     * An array or typed array with 4 values: x, y, z and w.
+     * @typedef {number[]|TypedArray} Quaternion
+     * @memberOf module:webgl-quat
+     */
+
+    let QuatType = Float32Array;
+
+    /**
+     * Sets the type this library creates for a Quat
+     * @param {constructor} Ctor the constructor for the type. Either `Float32Array` or `Array`
+     * @return {constructor} previous constructor for Quat
+     */
+    function setDefaultType(Ctor) {
+      const OldType = QuatType;
+      QuatType = Ctor;
+      return OldType;
+    }
+
+    /**
+     * Stores 4 values in a quaternion.
+     * @param {number} x x
+     * @param {number} y y
+     * @param {number} z z
+     * @param {number} w w
+     * @param {Quaternion} [dst] optional quaternion to store result
+     * @return {Quaternion} dst or a new quaternion if none provided
+     * @memberOf module:webgl-quat
+     */
+    function set(x, y, z, w, dst) {
+      dst = dst || new QuatType(4);
+      dst[0] = x;
+      dst[1] = y;
+      dst[2] = z;
+      dst[3] = w;
+      return dst;
+    }
+
+    /**
+     * Makes the identity rotation.
+     * @param {Quaternion} [dst] optional quaternion to store result
+     * @return {Quaternion} dst or a new quaternion if none provided
+     * @memberOf module:webgl-quat
+     */
+    function identity(dst) {
+      return set(0, 0, 0, 1, dst);
+    }
+
+    /**
+     * Copies a quaternion.
+     * @param {Quaternion} q quaternion to copy
+     * @param {Quaternion} [dst] optional quaternion to store result
+     * @return {Quaternion} dst or a new quaternion if none provided
+     * @memberOf module:webgl-quat
+     */
+    function copy(q, dst) {
+      return set(q[0], q[1], q[2], q[3], dst);
+    }
+
+    /**
+     * Makes a rotation around an axis.
+     * @param {Vector3} axis unit axis to rotate around
+     * @param {number} angleInRadians rotation angle
+     * @param {Quaternion} [dst] optional quaternion to store result
+     * @return {Quaternion} dst or a new quaternion if none provided
+     * @memberOf module:webgl-quat
+     */
+    function fromAxisAngle(axis, angleInRadians, dst) {
+      const halfAngle = angleInRadians * 0.5;
+      const s = Math.sin(halfAngle);
+      return set(axis[0] * s, axis[1] * s, axis[2] * s, Math.cos(halfAngle), dst);
+    }
+
+    /**
+     * Gets the axis and angle of a rotation.
+     * @param {Quaternion} q the unit quaternion
+     * @return {{axis: number[], angle: number}} unit axis and angle in radians; the x axis for no rotation
+     * @memberOf module:webgl-quat
+     */
+    function toAxisAngle(q) {
+      const angle = Math.acos(Math.max(-1, Math.min(1, q[3]))) * 2;
+      const s = Math.sin(angle * 0.5);
+      if (s < 0.000001) {
+        return { axis: [1, 0, 0], angle: 0 };
+      }
+      return { axis: [q[0] / s, q[1] / s, q[2] / s], angle };
+    }
+
+    /**
+     * Multiplies 2 quaternions so the result rotates by b first and then a, like `m4.multiply`.
+     * @param {Quaternion} a A quaternion.
+     * @param {Quaternion} b A quaternion.
+     * @param {Quaternion} [dst] optional quaternion to store result
+     * @return {Quaternion} dst or a new quaternion if none provided
+     * @memberOf module:webgl-quat
+     */
+    function multiply(a, b, dst) {
+      const ax = a[0], ay = a[1], az = a[2], aw = a[3];
+      const bx = b[0], by = b[1], bz = b[2], bw = b[3];
+      return set(
+          ax * bw + aw * bx + ay * bz - az * by,
+          ay * bw + aw * by + az * bx - ax * bz,
+          az * bw + aw * bz + ax * by - ay * bx,
+          aw * bw - ax * bx - ay * by - az * bz,
+          dst);
+    }
+
+    /**
+     * Makes a rotation from Euler angles applied in the given order of axes.
+     * With the default `xyz` the rotation matrix is Rx × Ry × Rz, so z is applied first.
+     * @param {number} x rotation around x in radians
+     * @param {number} y rotation around y in radians
+     * @param {number} z rotation around z in radians
+     * @param {string} [order='xyz'] any ordering of the letters x, y and z
+     * @param {Quaternion} [dst] optional quaternion to store result
+     * @return {Quaternion} dst or a new quaternion if none provided
+     * @memberOf module:webgl-quat
+     */
+    function fromEuler(x, y, z, order = 'xyz', dst) {
+      const rotations = {
+        x: fromAxisAngle([1, 0, 0], x, []),
+        y: fromAxisAngle([0, 1, 0], y, []),
+        z: fromAxisAngle([0, 0, 1], z, []),
+      };
+      const q = order.split('').reduce((result, axis) => multiply(result, rotations[axis], result), [0, 0, 0, 1]);
+      return copy(q, dst);
+    }
+
+    /**
+     * Gets `xyz`-order Euler angles of a rotation, the inverse of `fromEuler(x, y, z, 'xyz')`.
+     * @param {Quaternion} q the unit quaternion
+     * @param {Vector3} [dst] optional vector to store the x, y and z angles in radians
+     * @return {Vector3} dst or a new vector if none provided
+     * @memberOf module:webgl-quat
+     */
+    function toEuler(q, dst) {
+      dst = dst || new QuatType(3);
+      const x = q[0], y = q[1], z = q[2], w = q[3];
+
+      // Rotation matrix entries by row and column
+      const m11 = 1 - 2 * (y * y + z * z);
+      const m12 = 2 * (x * y - w * z);
+      const m13 = 2 * (x * z + w * y);
+      const m22 = 1 - 2 * (x * x + z * z);
+      const m23 = 2 * (y * z - w * x);
+      const m32 = 2 * (y * z + w * x);
+      const m33 = 1 - 2 * (x * x + y * y);
+
+      dst[1] = Math.asin(Math.max(-1, Math.min(1, m13)));
+      if (Math.abs(m13) < 0.9999999) {
+        dst[0] = Math.atan2(-m23, m33);
+        dst[2] = Math.atan2(-m12, m11);
+      } else {
+        // Gimbal lock: only the sum of x and z is defined, so put it all in x
+        dst[0] = Math.atan2(m32, m22);
+        dst[2] = 0;
+      }
+      return dst;
+    }
+
+    /**
+     * Gets the rotation of a 4-by-4 matrix without scale.
+     * @param {Matrix4} m the rotation matrix
+     * @param {Quaternion} [dst] optional quaternion to store result
+     * @return {Quaternion} dst or a new quaternion if none provided
+     * @memberOf module:webgl-quat
+     */
+    function fromMat4(m, dst) {
+      const m11 = m[0], m12 = m[4], m13 = m[8];
+      const m21 = m[1], m22 = m[5], m23 = m[9];
+      const m31 = m[2], m32 = m[6], m33 = m[10];
+      const trace = m11 + m22 + m33;
+
+      // Divide by the largest of the four candidates for numerical stability
+      if (trace > 0) {
+        const s = 0.5 / Math.sqrt(trace + 1);
+        return set((m32 - m23) * s, (m13 - m31) * s, (m21 - m12) * s, 0.25 / s, dst);
+      } else if (m11 > m22 && m11 > m33) {
+        const s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+        return set(0.25 * s, (m12 + m21) / s, (m13 + m31) / s, (m32 - m23) / s, dst);
+      } else if (m22 > m33) {
+        const s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+        return set((m12 + m21) / s, 0.25 * s, (m23 + m32) / s, (m13 - m31) / s, dst);
+      }
+      const s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+      return set((m13 + m31) / s, (m23 + m32) / s, 0.25 * s, (m21 - m12) / s, dst);
+    }
+
+    /**
+     * Makes a 4-by-4 rotation matrix from a unit quaternion.
+     * @param {Quaternion} q the quaternion
+     * @param {Matrix4} [dst] optional matrix to store result
+     * @return {Matrix4} dst or a new matrix if none provided
+     * @memberOf module:webgl-quat
+     */
+    function toMat4(q, dst) {
+      dst = dst || new QuatType(16);
+      const x = q[0], y = q[1], z = q[2], w = q[3];
+      const x2 = x + x, y2 = y + y, z2 = z + z;
+      const xx = x * x2, xy = x * y2, xz = x * z2;
+      const yy = y * y2, yz = y * z2, zz = z * z2;
+      const wx = w * x2, wy = w * y2, wz = w * z2;
+
+      dst[ 0] = 1 - (yy + zz);
+      dst[ 1] = xy + wz;
+      dst[ 2] = xz - wy;
+      dst[ 3] = 0;
+      dst[ 4] = xy - wz;
+      dst[ 5] = 1 - (xx + zz);
+      dst[ 6] = yz + wx;
+      dst[ 7] = 0;
+      dst[ 8] = xz + wy;
+      dst[ 9] = yz - wx;
+      dst[10] = 1 - (xx + yy);
+      dst[11] = 0;
+      dst[12] = 0;
+      dst[13] = 0;
+      dst[14] = 0;
+      dst[15] = 1;
+      return dst;
+    }
+
+    /**
+     * Makes the shortest rotation that turns one unit vector into another.
+     * @param {Vector3} from unit start direction
+     * @param {Vector3} to unit end direction
+     * @param {Quaternion} [dst] optional quaternion to store result
+     * @return {Quaternion} dst or a new quaternion if none provided
+     * @memberOf module:webgl-quat
+     */
+    function rotationTo(from, to, dst) {
+      const d = from[0] * to[0] + from[1] * to[1] + from[2] * to[2];
+      if (d < -0.999999) {
+        // Opposite directions: turn half way around any perpendicular axis
+        const axis = Math.abs(from[0]) < 0.9 ? [0, -from[2], from[1]] : [-from[2], 0, from[0]];
+        const len = Math.hypot(axis[0], axis[1], axis[2]);
+        return set(axis[0] / len, axis[1] / len, axis[2] / len, 0, dst);
+      }
+      dst = set(
+          from[1] * to[2] - from[2] * to[1],
+          from[2] * to[0] - from[0] * to[2],
+          from[0] * to[1] - from[1] * to[0],
+          1 + d,
+          dst);
+      return normalize(dst, dst);
+    }
+
+    /**
+     * Computes the conjugate, which is the inverse of a unit quaternion.
+     * @param {Quaternion} q the quaternion
+     * @param {Quaternion} [dst] optional quaternion to store result
+     * @return {Quaternion} dst or a new quaternion if none provided
+     * @memberOf module:webgl-quat
+     */
+    function conjugate(q, dst) {
+      return set(-q[0], -q[1], -q[2], q[3], dst);
+    }
+
+    /**
+     * Computes the inverse of a quaternion of any length.
+     * @param {Quaternion} q the quaternion
+     * @param {Quaternion} [dst] optional quaternion to store result
+     * @return {Quaternion} dst or a new quaternion if none provided
+     * @memberOf module:webgl-quat
+     */
+    function inverse(q, dst) {
+      const lenSq = dot(q, q);
+      const s = lenSq ? 1 / lenSq : 0;
+      return set(-q[0] * s, -q[1] * s, -q[2] * s, q[3] * s, dst);
+    }
+
+    /**
+     * Computes the dot product of 2 quaternions.
+     * @param {Quaternion} a a
+     * @param {Quaternion} b b
+     * @return {number} dot product
+     * @memberOf module:webgl-quat
+     */
+    function dot(a, b) {
+      return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+    }
+
+    /**
+     * Computes the length of a quaternion.
+     * @param {Quaternion} q the quaternion
+     * @return {number} length of the quaternion
+     * @memberOf module:webgl-quat
+     */
+    function length(q) {
+      return Math.sqrt(dot(q, q));
+    }
+
+    /**
+     * Scales a quaternion to unit length. A zero quaternion becomes the identity.
+     * @param {Quaternion} q the quaternion
+     * @param {Quaternion} [dst] optional quaternion to store result
+     * @return {Quaternion} dst or a new quaternion if none provided
+     * @memberOf module:webgl-quat
+     */
+    function normalize(q, dst) {
+      const len = length(q);
+      if (len < 0.00001) {
+        return identity(dst);
+      }
+      return set(q[0] / len, q[1] / len, q[2] / len, q[3] / len, dst);
+    }
+
+    /**
+     * Spherically interpolates between 2 rotations along the shorter arc.
+     * @param {Quaternion} a start rotation
+     * @param {Quaternion} b end rotation
+     * @param {number} t interpolation amount; 0 gives a and 1 gives b
+     * @param {Quaternion} [dst] optional quaternion to store result
+     * @return {Quaternion} dst or a new quaternion if none provided
+     * @memberOf module:webgl-quat
+     */
+    function slerp(a, b, t, dst) {
+      let cosOmega = dot(a, b);
+
+      // q and -q are the same rotation; flip b to take the shorter way around
+      const sign = cosOmega < 0 ? -1 : 1;
+      cosOmega *= sign;
+
+      let scaleA = 1 - t;
+      let scaleB = t;
+      if (cosOmega < 0.9999) {
+        const omega = Math.acos(cosOmega);
+        const sinOmega = Math.sin(omega);
+        scaleA = Math.sin((1 - t) * omega) / sinOmega;
+        scaleB = Math.sin(t * omega) / sinOmega;
+      }
+      scaleB *= sign;
+
+      dst = set(
+          a[0] * scaleA + b[0] * scaleB,
+          a[1] * scaleA + b[1] * scaleB,
+          a[2] * scaleA + b[2] * scaleB,
+          a[3] * scaleA + b[3] * scaleB,
+          dst);
+
+      // Nearly parallel inputs fall back to lerp, which needs renormalizing
+      return cosOmega < 0.9999 ? dst : normalize(dst, dst);
+    }
+
+    return {
+      set: set,
+      identity: identity,
+      copy: copy,
+      fromAxisAngle: fromAxisAngle,
+      toAxisAngle: toAxisAngle,
+      multiply: multiply,
+      fromEuler: fromEuler,
+      toEuler: toEuler,
+      fromMat4: fromMat4,
+      toMat4: toMat4,
+      rotationTo: rotationTo,
+      conjugate: conjugate,
+      inverse: inverse,
+      dot: dot,
+      length: length,
+      normalize: normalize,
+      slerp: slerp,
+      setDefaultType: setDefaultType,
+    };
+
+  }));
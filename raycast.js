@@ -0,0 +1,307 @@
+/**
+ * Ray, bounding box and triangle intersection, with a bounding volume
+ * hierarchy (BVH) for casting rays against whole meshes.
+ *
+ * @module webgl-raycast
+ */
+(function(root, factory) {  // eslint-disable-line
+    if (typeof define === 'function' && define.amd) {
+      // AMD. Register as an anonymous module.
+      define(['./matrix_m4'], factory);
+    } else {
+      // Browser globals
+      root.raycast = factory(root.m4);
+    }
+  }(this, function(m4) {
+    "use strict";
+
+    /**
+     * A ray starting at `origin` and pointing along `direction`.
+     * @typedef {Object} Ray
+     * @property {Vector3} origin The start of the ray.
+     * @property {Vector3} direction The direction of the ray.
+     * @memberOf module:webgl-raycast
+     */
+
+    /**
+     * The nearest intersection of a ray with a mesh.
+     * @typedef {Object} RayHit
+     * @property {number} distance Ray parameter of the hit; a distance if the direction has unit length.
+     * @property {Vector3} point The hit point.
+     * @property {Vector3} normal Unit normal of the hit triangle, following its winding.
+     * @property {number[]} barycentric Weights of the triangle's three vertices at the hit point.
+     * @property {number} triangle Index of the hit triangle.
+     * @memberOf module:webgl-raycast
+     */
+
+    /** Triangles per BVH leaf unless told otherwise */
+    const DEFAULT_MAX_LEAF_SIZE = 4;
+
+    /**
+     * Creates a ray with a unit-length direction.
+     * @param {Vector3} origin The start of the ray.
+     * @param {Vector3} direction The direction of the ray, of any length.
+     * @return {Ray} The ray.
+     * @memberOf module:webgl-raycast
+     */
+    function createRay(origin, direction) {
+      return {
+        origin: [origin[0], origin[1], origin[2]],
+        direction: m4.normalize(direction, []),
+      };
+    }
+
+    /**
+     * Computes the point at some distance along a ray.
+     * @param {Ray} ray The ray.
+     * @param {number} distance The ray parameter.
+     * @param {Vector3} [dst] optional vector to store result
+     * @return {Vector3} dst or a new vector if none provided
+     * @memberOf module:webgl-raycast
+     */
+    function pointOnRay(ray, distance, dst) {
+      dst = dst || [];
+      dst[0] = ray.origin[0] + ray.direction[0] * distance;
+      dst[1] = ray.origin[1] + ray.direction[1] * distance;
+      dst[2] = ray.origin[2] + ray.direction[2] * distance;
+      return dst;
+    }
+
+    /**
+     * Transforms a ray by a matrix, e.g. into a model's local space with the inverse world matrix.
+     * The direction is not renormalized, so ray parameters stay comparable between spaces.
+     * @param {Matrix4} m The matrix.
+     * @param {Ray} ray The ray.
+     * @return {Ray} The transformed ray.
+     * @memberOf module:webgl-raycast
+     */
+    function transformRay(m, ray) {
+      return {
+        origin: Array.from(m4.transformPoint(m, ray.origin)),
+        direction: Array.from(m4.transformDirection(m, ray.direction)),
+      };
+    }
+
+    /**
+     * Intersects a ray with an axis-aligned bounding box using the slab method.
+     * @param {Ray} ray The ray.
+     * @param {Vector3} min The minimum corner of the box.
+     * @param {Vector3} max The maximum corner of the box.
+     * @return {number|null} Ray parameter where the ray enters the box (0 if it starts inside), or null if it misses.
+     * @memberOf module:webgl-raycast
+     */
+    function intersectRayAABB(ray, min, max) {
+      let near = 0;
+      let far = Infinity;
+
+      for (let i = 0; i < 3; ++i) {
+        // Division by zero gives infinities, which the comparisons handle
+        const invDirection = 1 / ray.direction[i];
+        let t0 = (min[i] - ray.origin[i]) * invDirection;
+        let t1 = (max[i] - ray.origin[i]) * invDirection;
+        if (t0 > t1) {
+          const t = t0;
+          t0 = t1;
+          t1 = t;
+        }
+
+        // NaN from 0 * Infinity means the ray lies in the slab's plane; leave the range alone
+        if (t0 > near) near = t0;
+        if (t1 < far) far = t1;
+        if (near > far) {
+          return null;
+        }
+      }
+
+      return near;
+    }
+
+    /**
+     * Intersects a ray with a triangle (Möller–Trumbore). Both sides of the triangle are hit.
+     * @param {Ray} ray The ray.
+     * @param {Vector3} a The first vertex.
+     * @param {Vector3} b The second vertex.
+     * @param {Vector3} c The third vertex.
+     * @return {Object|null} The ray parameter `distance` and the barycentric `u` and `v`
+     *   weights of `b` and `c`, or null if the ray misses or the hit is behind its origin.
+     * @memberOf module:webgl-raycast
+     */
+    function intersectRayTriangle(ray, a, b, c) {
+      const edge1 = m4.subtractVectors(b, a, []);
+      const edge2 = m4.subtractVectors(c, a, []);
+      const p = m4.cross(ray.direction, edge2, []);
+      const det = m4.dot(edge1, p);
+      if (Math.abs(det) < 1e-12) {
+        return null;
+      }
+
+      const invDet = 1 / det;
+      const s = m4.subtractVectors(ray.origin, a, []);
+      const u = m4.dot(s, p) * invDet;
+      if (u < 0 || u > 1) {
+        return null;
+      }
+
+      const q = m4.cross(s, edge1, []);
+      const v = m4.dot(ray.direction, q) * invDet;
+      if (v < 0 || u + v > 1) {
+        return null;
+      }
+
+      const distance = m4.dot(edge2, q) * invDet;
+      return distance >= 0 ? { distance, u, v } : null;
+    }
+
+    /**
+     * Gets the three vertex positions of a triangle.
+     * @param {Object} bvh The BVH holding the mesh.
+     * @param {number} triangle The triangle index.
+     * @return {Vector3[]} The vertices.
+     */
+    function getTriangleVertices(bvh, triangle) {
+      const { position, indices } = bvh;
+      return [0, 1, 2].map((corner) => {
+        const vertex = indices ? indices[triangle * 3 + corner] : triangle * 3 + corner;
+        return [position[vertex * 3], position[vertex * 3 + 1], position[vertex * 3 + 2]];
+      });
+    }
+
+    /**
+     * Builds a bounding volume hierarchy over the triangles of a mesh.
+     * Nodes are split at the median triangle centroid along their longest axis.
+     * @param {number[]} position Vertex positions, 3 per vertex, e.g. a geometry's `data.position`.
+     * @param {number[]} [indices] Triangle vertex indices, 3 per triangle; without them every 3 vertices form a triangle.
+     * @param {Object} [options] BVH options.
+     * @param {number} [options.maxLeafSize=4] Largest number of triangles kept in a leaf.
+     * @return {Object} The BVH, with the mesh and a tree of `{min, max, left, right, triangles}` nodes under `root`.
+     * @memberOf module:webgl-raycast
+     */
+    function createBVH(position, indices, { maxLeafSize = DEFAULT_MAX_LEAF_SIZE } = {}) {
+      const bvh = { position, indices, root: null };
+      const numTriangles = (indices ? indices.length : position.length / 3) / 3 | 0;
+
+      // Bounds and centroid of every triangle, computed once
+      const triangles = [];
+      for (let triangle = 0; triangle < numTriangles; ++triangle) {
+        const vertices = getTriangleVertices(bvh, triangle);
+        const min = vertices[0].slice();
+        const max = vertices[0].slice();
+        vertices.forEach((vertex) => {
+          for (let j = 0; j < 3; ++j) {
+            min[j] = Math.min(min[j], vertex[j]);
+            max[j] = Math.max(max[j], vertex[j]);
+          }
+        });
+        triangles.push({ triangle, min, max, centroid: m4.scaleVector(m4.addVectors(min, max, []), 0.5, []) });
+      }
+
+      const buildNode = (items) => {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        items.forEach((item) => {
+          for (let j = 0; j < 3; ++j) {
+            min[j] = Math.min(min[j], item.min[j]);
+            max[j] = Math.max(max[j], item.max[j]);
+          }
+        });
+
+        if (items.length <= maxLeafSize) {
+          return { min, max, left: null, right: null, triangles: items.map(item => item.triangle) };
+        }
+
+        const size = m4.subtractVectors(max, min, []);
+        const axis = size[0] > size[1] ? (size[0] > size[2] ? 0 : 2) : (size[1] > size[2] ? 1 : 2);
+        items.sort((a, b) => a.centroid[axis] - b.centroid[axis]);
+
+        const middle = items.length >> 1;
+        return {
+          min,
+          max,
+          left: buildNode(items.slice(0, middle)),
+          right: buildNode(items.slice(middle)),
+          triangles: null,
+        };
+      };
+
+      if (triangles.length) {
+        bvh.root = buildNode(triangles);
+      }
+      return bvh;
+    }
+
+    /**
+     * Finds the nearest triangle of a mesh hit by a ray, visiting only the BVH nodes the ray passes through.
+     * @param {Object} bvh The BVH from `createBVH`.
+     * @param {Ray} ray The ray, in the same space as the mesh positions.
+     * @return {RayHit|null} The nearest hit, or null if the ray misses the mesh.
+     * @memberOf module:webgl-raycast
+     */
+    function intersectRayBVH(bvh, ray) {
+      let nearest = null;
+      const stack = bvh.root ? [bvh.root] : [];
+
+      while (stack.length) {
+        const node = stack.pop();
+        const entry = intersectRayAABB(ray, node.min, node.max);
+        if (entry === null || (nearest && entry > nearest.distance)) continue;
+
+        if (node.triangles) {
+          node.triangles.forEach((triangle) => {
+            const [a, b, c] = getTriangleVertices(bvh, triangle);
+            const hit = intersectRayTriangle(ray, a, b, c);
+            if (hit && (!nearest || hit.distance < nearest.distance)) {
+              nearest = { ...hit, triangle, vertices: [a, b, c] };
+            }
+          });
+        } else {
+          stack.push(node.left, node.right);
+        }
+      }
+
+      if (!nearest) {
+        return null;
+      }
+
+      const { distance, u, v, triangle, vertices: [a, b, c] } = nearest;
+      const normal = m4.normalize(m4.cross(m4.subtractVectors(b, a, []), m4.subtractVectors(c, a, []), []), []);
+      return {
+        distance,
+        point: pointOnRay(ray, distance),
+        normal,
+        barycentric: [1 - u - v, u, v],
+        triangle,
+      };
+    }
+
+    /**
+     * Turns a pixel into a world-space ray through it, from the near plane toward the far plane.
+     * @param {number} x Pixel column from the left of the canvas.
+     * @param {number} y Pixel row from the bottom of the canvas.
+     * @param {number} width Width of the canvas in pixels.
+     * @param {number} height Height of the canvas in pixels.
+     * @param {Matrix4} viewProjection The projection × view matrix the scene is drawn with.
+     * @return {Ray} The ray, with a unit-length direction.
+     * @memberOf module:webgl-raycast
+     */
+    function unproject(x, y, width, height, viewProjection) {
+      const inverseViewProjection = m4.inverse(viewProjection);
+      const clipX = x / width * 2 - 1;
+      const clipY = y / height * 2 - 1;
+
+      const near = m4.transformPoint(inverseViewProjection, [clipX, clipY, -1]);
+      const far = m4.transformPoint(inverseViewProjection, [clipX, clipY, 1]);
+      return createRay(near, m4.subtractVectors(far, near, []));
+    }
+
+    return {
+      createRay: createRay,
+      pointOnRay: pointOnRay,
+      transformRay: transformRay,
+      intersectRayAABB: intersectRayAABB,
+      intersectRayTriangle: intersectRayTriangle,
+      createBVH: createBVH,
+      intersectRayBVH: intersectRayBVH,
+      unproject: unproject,
+    };
+
+  }));
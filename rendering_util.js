@@ -1,21 +1,110 @@
 "use strict";
 
-/** Uniform Data Type Helper */
-const UNIFORM_TYPES = {
-  u_projection: 35676,          // gl.FLOAT_MAT4
-  u_view: 35676,                // gl.FLOAT_MAT4
-  u_world: 35676,               // gl.FLOAT_MAT4
-  u_view_world_position: 35665, // gl.FLOAT_VEC3
-  diffuse: 35665,               // gl.FLOAT_VEC3
-  ambient: 35665,               // gl.FLOAT_VEC3
-  emissive: 35665,              // gl.FLOAT_VEC3
-  specular: 35665,              // gl.FLOAT_VEC3
-  shininess: 5126,              // gl.FLOAT
-  opacity: 5126,                // gl.FLOAT
-  u_light_direction: 35665,     // gl.FLOAT_VEC3
-  u_ambient_light: 35665,       // gl.FLOAT_VEC3
-  diffuseMap: 35678,            // gl.SAMPLER_2D
-  specularMap: 35678            // gl.SAMPLER_2D
+/**
+ * Wraps a single number or boolean so it can be passed to the `uniform*v` calls.
+ * @param {number|boolean|number[]} value - The uniform value.
+ * @returns {number[]} The value as an array.
+ */
+const toUniformArray = (value) => {
+  return typeof value === 'number' || typeof value === 'boolean' ? [+value] : value;
+};
+
+/**
+ * Uniform setter factories keyed by the type reported by `gl.getActiveUniform`.
+ * Each factory gets the uniform location and returns a function taking the value.
+ */
+const UNIFORM_SETTERS = {
+  5126: (gl, location) => value => gl.uniform1fv(location, toUniformArray(value)), // gl.FLOAT
+  35664: (gl, location) => value => gl.uniform2fv(location, value),                // gl.FLOAT_VEC2
+  35665: (gl, location) => value => gl.uniform3fv(location, value),                // gl.FLOAT_VEC3
+  35666: (gl, location) => value => gl.uniform4fv(location, value),                // gl.FLOAT_VEC4
+  5124: (gl, location) => value => gl.uniform1iv(location, toUniformArray(value)), // gl.INT
+  35667: (gl, location) => value => gl.uniform2iv(location, value),                // gl.INT_VEC2
+  35668: (gl, location) => value => gl.uniform3iv(location, value),                // gl.INT_VEC3
+  35669: (gl, location) => value => gl.uniform4iv(location, value),                // gl.INT_VEC4
+  35670: (gl, location) => value => gl.uniform1iv(location, toUniformArray(value)), // gl.BOOL
+  35671: (gl, location) => value => gl.uniform2iv(location, value),                // gl.BOOL_VEC2
+  35672: (gl, location) => value => gl.uniform3iv(location, value),                // gl.BOOL_VEC3
+  35673: (gl, location) => value => gl.uniform4iv(location, value),                // gl.BOOL_VEC4
+  35674: (gl, location) => value => gl.uniformMatrix2fv(location, false, value),   // gl.FLOAT_MAT2
+  35675: (gl, location) => value => gl.uniformMatrix3fv(location, false, value),   // gl.FLOAT_MAT3
+  35676: (gl, location) => value => gl.uniformMatrix4fv(location, false, value),   // gl.FLOAT_MAT4
+  5125: (gl, location) => value => gl.uniform1uiv(location, toUniformArray(value)), // gl.UNSIGNED_INT (WebGL2)
+};
+
+/** Texture bind point for each sampler type reported by `gl.getActiveUniform` */
+const SAMPLER_BIND_POINTS = {
+  35678: 0x0DE1, // gl.SAMPLER_2D -> gl.TEXTURE_2D
+  35680: 0x8513, // gl.SAMPLER_CUBE -> gl.TEXTURE_CUBE_MAP
+  35679: 0x806F, // gl.SAMPLER_3D -> gl.TEXTURE_3D (WebGL2)
+  35682: 0x0DE1, // gl.SAMPLER_2D_SHADOW -> gl.TEXTURE_2D (WebGL2)
+  36289: 0x8C1A, // gl.SAMPLER_2D_ARRAY -> gl.TEXTURE_2D_ARRAY (WebGL2)
+};
+
+/** Program info built by `createProgramInfo`, cached per linked program */
+const programInfos = new WeakMap();
+
+/** OES_vertex_array_object extension of each WebGL1 context, or null if unsupported */
+const vertexArrayExtensions = new WeakMap();
+
+/**
+ * Gets a WebGL context from a canvas, preferring WebGL2 and falling back to WebGL1.
+ * @param {HTMLCanvasElement} canvas - The canvas to render into.
+ * @param {object} [attributes] - Context creation attributes.
+ * @returns {WebGLRenderingContext|WebGL2RenderingContext|null} The context, or null if WebGL is unavailable.
+ */
+const getWebGLContext = (canvas, attributes) => {
+  return canvas.getContext('webgl2', attributes) || canvas.getContext('webgl', attributes);
+};
+
+/**
+ * Checks whether a context is a WebGL2 context.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @returns {boolean} True for WebGL2 contexts.
+ */
+const isWebGL2 = (gl) => {
+  return typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+};
+
+/**
+ * Gets the OES_vertex_array_object extension of a WebGL1 context.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @returns {object|null} The extension, or null if it is not supported.
+ */
+const getVertexArrayExtension = (gl) => {
+  if (!vertexArrayExtensions.has(gl)) {
+    vertexArrayExtensions.set(gl, gl.getExtension('OES_vertex_array_object'));
+  }
+  return vertexArrayExtensions.get(gl);
+};
+
+/**
+ * Creates a vertex array object through WebGL2 or OES_vertex_array_object.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @returns {WebGLVertexArrayObject|null} The vertex array, or null if VAOs are not supported.
+ */
+const createVertexArray = (gl) => {
+  if (isWebGL2(gl)) {
+    return gl.createVertexArray();
+  }
+  const ext = getVertexArrayExtension(gl);
+  return ext ? ext.createVertexArrayOES() : null;
+};
+
+/**
+ * Binds a vertex array object, or unbinds with null.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {WebGLVertexArrayObject|null} vertexArray - The vertex array to bind.
+ */
+const bindVertexArray = (gl, vertexArray) => {
+  if (isWebGL2(gl)) {
+    gl.bindVertexArray(vertexArray);
+    return;
+  }
+  const ext = getVertexArrayExtension(gl);
+  if (ext) {
+    ext.bindVertexArrayOES(vertexArray);
+  }
 };
 
 /**
@@ -28,6 +117,10 @@ const UNIFORM_TYPES = {
 const createProgram = (gl, vertexShaderSource, fragmentShaderSource) => {
   const vertexShader = createShader(gl, gl.VERTEX_SHADER, vertexShaderSource);
   const fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, fragmentShaderSource);
+  if (!vertexShader || !fragmentShader) {
+    return null;
+  }
+
   const program = gl.createProgram();
 
   gl.attachShader(program, vertexShader);
@@ -40,17 +133,89 @@ const createProgram = (gl, vertexShaderSource, fragmentShaderSource) => {
     return null;
   }
 
+  programInfos.set(program, createProgramInfo(gl, program));
   return program;
 }
 
+/**
+ * Reflects the active uniforms and attributes of a linked program.
+ * Every sampler gets its own texture unit, so textures can be bound by name.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} program - The linked WebGL program.
+ * @returns {object} Uniform setters and attribute locations keyed by name.
+ */
+const createProgramInfo = (gl, program) => {
+  const uniformSetters = {};
+  const attribLocations = {};
+  let textureUnit = 0;
+
+  const numUniforms = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < numUniforms; ++i) {
+    const { name, type, size } = gl.getActiveUniform(program, i);
+    const location = gl.getUniformLocation(program, name);
+    if (location === null) continue;
+
+    let setter;
+    const bindPoint = SAMPLER_BIND_POINTS[type];
+
+    if (bindPoint !== undefined) {
+      const units = Array.from({ length: size }, (_, ndx) => textureUnit + ndx);
+      textureUnit += size;
+      setter = (value) => {
+        const textures = size > 1 ? value : [value];
+        gl.uniform1iv(location, units);
+        textures.forEach((texture, ndx) => {
+          gl.activeTexture(gl.TEXTURE0 + units[ndx]);
+          gl.bindTexture(bindPoint, texture);
+        });
+      };
+    } else if (UNIFORM_SETTERS[type]) {
+      setter = UNIFORM_SETTERS[type](gl, location);
+    } else {
+      console.warn(`Unsupported uniform type 0x${type.toString(16)} for ${name}`);
+      continue;
+    }
+
+    // Arrays are reported as `name[0]`; they are set through their plain name
+    uniformSetters[name.endsWith('[0]') ? name.slice(0, -3) : name] = setter;
+  }
+
+  const numAttribs = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+  for (let i = 0; i < numAttribs; ++i) {
+    const { name } = gl.getActiveAttrib(program, i);
+    attribLocations[name] = gl.getAttribLocation(program, name);
+  }
+
+  return { program, uniformSetters, attribLocations };
+};
+
+/**
+ * Returns the cached program info of a program, reflecting it on first use.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} program - The linked WebGL program.
+ * @returns {object} The program info from `createProgramInfo`.
+ */
+const getProgramInfo = (gl, program) => {
+  if (!programInfos.has(program)) {
+    programInfos.set(program, createProgramInfo(gl, program));
+  }
+  return programInfos.get(program);
+};
+
 /**
  * Creates a WebGL shader.
+ * GLSL ES 3.00 sources (starting with `#version 300 es`) need a WebGL2 context.
  * @param {WebGLRenderingContext} gl - The WebGL context.
  * @param {number} type - The type of shader, either gl.VERTEX_SHADER or gl.FRAGMENT_SHADER.
  * @param {string} source - GLSL source code for the shader.
  * @returns {WebGLShader|null} The created shader, or null on error.
  */
 const createShader = (gl, type, source) => {
+  if (/^\s*#version\s+300\s+es/.test(source) && !isWebGL2(gl)) {
+    console.error('GLSL ES 3.00 shaders need a WebGL2 context');
+    return null;
+  }
+
   const shader = gl.createShader(type);
   gl.shaderSource(shader, source);
   gl.compileShader(shader);
@@ -90,11 +255,18 @@ const create1PixelTexture = (gl, pixel) => {
  * Creates a texture from an image URL.
  * @param {WebGLRenderingContext} gl - The WebGL context.
  * @param {string} url - The URL of the image to use as texture.
+ * @param {Object} [options] - Texture options.
+ * @param {boolean} [options.clamp=false] - Clamp texture coordinates to the edge instead of repeating.
  * @returns {WebGLTexture} The created texture.
  */
-const createTexture = (gl, url) => {
+const createTexture = (gl, url, { clamp = false } = {}) => {
   const texture = create1PixelTexture(gl, [128, 192, 255, 255]);
 
+  if (clamp) {
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  }
+
   const image = new Image();
   if ((new URL(url, window.location.href)).origin !== window.location.origin) {
     image.crossOrigin = "";
@@ -135,48 +307,94 @@ const createBuffer = (gl, data, type) => {
 /**
  * Creates buffer information from attribute data arrays.
  * @param {WebGLRenderingContext} gl - The WebGL context.
- * @param {object} data - Object containing attribute arrays.
+ * @param {object} data - Object containing attribute arrays; `color` is either
+ *   `{ numComponents, data }` or a constant `{ value }`.
  * @returns {object} Object containing buffer information.
  */
 const createBufferInfoFromArrays = (gl, data) => {
-  const positionBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(data.position), gl.STATIC_DRAW);
-
-  const texcoordBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, texcoordBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(data.texcoord), gl.STATIC_DRAW);
-
-  const normalBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(data.normal), gl.STATIC_DRAW);
+  /**
+   * Uploads one attribute array, or falls back to a constant value when the geometry has none.
+   * @param {number[]} [array] - The attribute data.
+   * @param {number} numComponents - Components per vertex.
+   * @param {number[]} defaultValue - Constant vec4 used when `array` is missing.
+   * @returns {object} Attribute information for `setupAttributes`.
+   */
+  const createAttrib = (array, numComponents, defaultValue) => {
+    if (!array) {
+      return { value: defaultValue };
+    }
+    return { buffer: createBuffer(gl, array, gl.ARRAY_BUFFER), numComponents, type: gl.FLOAT, normalize: false };
+  };
 
   const bufferInfo = {
     attribs: {
-      a_position: { buffer: positionBuffer, numComponents: 3, type: gl.FLOAT, normalize: false },
-      a_normal: { buffer: normalBuffer, numComponents: 3, type: gl.FLOAT, normalize: false },
-      a_texcoord: { buffer: texcoordBuffer, numComponents: 2, type: gl.FLOAT, normalize: false },
-      a_color: data.color,
+      a_position: createAttrib(data.position, 3),
+      a_normal: createAttrib(data.normal, 3, [0, 0, 1, 0]),
+      a_tangent: createAttrib(data.tangent, 4, [1, 0, 0, 1]),
+      a_texcoord: createAttrib(data.texcoord, 2, [0, 0, 0, 0]),
+      a_color: data.color && data.color.data ? createAttrib(data.color.data, data.color.numComponents) : data.color,
     },
     numElements: data.position.length / 3,
   };
 
+  if (data.indices) {
+    Object.assign(bufferInfo, createIndexBuffer(gl, data.indices, data.position.length / 3));
+  }
+
   return bufferInfo;
 }
 
+/**
+ * Checks whether an index buffer can address a number of vertices. Uint16 indices
+ * address at most 65536; more need Uint32 indices, an extension on WebGL1 that this enables.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {number} numVertices - Number of vertices the indices address.
+ * @returns {boolean} True if the vertices can be indexed.
+ */
+const canIndexVertices = (gl, numVertices) => {
+  return numVertices <= 0x10000 || isWebGL2(gl) || gl.getExtension('OES_element_index_uint') !== null;
+};
+
+/**
+ * Uploads an index buffer with the smallest index type that addresses every vertex.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {number[]} indices - The vertex indices.
+ * @param {number} numVertices - Number of vertices the indices address.
+ * @returns {object} The `indices` buffer, its `elementType` and `numElements`, to merge into a buffer info.
+ * @throws {Error} If the context cannot index that many vertices; see `canIndexVertices`.
+ */
+const createIndexBuffer = (gl, indices, numVertices) => {
+  if (!canIndexVertices(gl, numVertices)) {
+    throw new Error(`Indexing ${numVertices} vertices needs the OES_element_index_uint extension, which is not supported`);
+  }
+  const IndexArray = numVertices > 0x10000 ? Uint32Array : Uint16Array;
+
+  const indexBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new IndexArray(indices), gl.STATIC_DRAW);
+
+  return {
+    indices: indexBuffer,
+    elementType: IndexArray === Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT,
+    numElements: indices.length,
+  };
+};
+
 /**
  * Sets up attribute pointers for a WebGL program.
+ * Attributes the program does not use are skipped.
  * @param {WebGLRenderingContext} gl - The WebGL context.
  * @param {WebGLProgram} program - The WebGL program.
  * @param {object} attribs - The buffer information.
  */
 const setupAttributes = (gl, program, attribs) =>  {
+  const { attribLocations } = getProgramInfo(gl, program);
+
   Object.keys(attribs.attribs).forEach(attribute => {
-    const location = gl.getAttribLocation(program, attribute);
+    const location = attribLocations[attribute];
     const data = attribs.attribs[attribute];
 
-    if (location === -1) {
-      console.warn(`Attribute ${attribute} not found in the program.`);
+    if (location === undefined) {
       return;
     }
 
@@ -191,56 +409,85 @@ const setupAttributes = (gl, program, attribs) =>  {
   });
 }
 
+/**
+ * Binds the attributes and index buffer of a buffer info for a program.
+ * With vertex array objects the state is recorded once per program and
+ * rebound afterwards; without them `setupAttributes` runs on every call.
+ * Call `bindVertexArray(gl, null)` after drawing so later buffer binds
+ * don't change the recorded state.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} program - The WebGL program.
+ * @param {object} bufferInfo - The buffer information.
+ */
+const bindBufferInfo = (gl, program, bufferInfo) => {
+  if (!bufferInfo.vertexArrays) {
+    bufferInfo.vertexArrays = new Map();
+  }
+
+  let vertexArray = bufferInfo.vertexArrays.get(program);
+  if (vertexArray === undefined) {
+    vertexArray = createVertexArray(gl);
+    bufferInfo.vertexArrays.set(program, vertexArray);
+
+    if (vertexArray) {
+      bindVertexArray(gl, vertexArray);
+      setupAttributes(gl, program, bufferInfo);
+      if (bufferInfo.indices) {
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, bufferInfo.indices);
+      }
+    }
+  }
+
+  if (!vertexArray) {
+    setupAttributes(gl, program, bufferInfo);
+    if (bufferInfo.indices) {
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, bufferInfo.indices);
+    }
+    return;
+  }
+
+  bindVertexArray(gl, vertexArray);
+
+  // Constant attribute values are context state, not part of the vertex array
+  const { attribLocations } = getProgramInfo(gl, program);
+  Object.entries(bufferInfo.attribs).forEach(([attribute, data]) => {
+    if (data.value != undefined && attribLocations[attribute] !== undefined) {
+      gl.vertexAttrib4fv(attribLocations[attribute], data.value);
+    }
+  });
+};
+
+/**
+ * Draws a buffer info bound with `bindBufferInfo`, indexed or not.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {object} bufferInfo - The buffer information.
+ * @param {number} [mode=gl.TRIANGLES] - The primitive type to draw.
+ */
+const drawBufferInfo = (gl, bufferInfo, mode = gl.TRIANGLES) => {
+  if (bufferInfo.indices) {
+    gl.drawElements(mode, bufferInfo.numElements, bufferInfo.elementType, 0);
+  } else {
+    gl.drawArrays(mode, 0, bufferInfo.numElements);
+  }
+};
+
 /**
  * Sets uniforms for a WebGL program.
+ * Values whose name is not an active uniform of the program are ignored.
  * @param {WebGLRenderingContext} gl - The WebGL context.
  * @param {WebGLProgram} program - The WebGL program.
  * @param {...object} uniformSets - Objects containing uniform data.
  */
 const setUniforms = (gl, program, ...uniformSets) => {
-  let textureUnit = 0;
-  const uniforms = Object.assign({}, ...uniformSets);
-
-  Object.keys(uniforms).forEach((uniformName) => {
-    const location = gl.getUniformLocation(program, uniformName);
-    if (location === null) {
-      return;
-    }
+  const { uniformSetters } = getProgramInfo(gl, program);
 
-    let value = uniforms[uniformName];
-
-    if (Array.isArray(value)) {
-      switch (UNIFORM_TYPES[uniformName]) {
-        case gl.FLOAT_MAT4:
-          gl.uniformMatrix4fv(location, false, value);
-          break;
-        case gl.FLOAT_VEC3:
-          gl.uniform3fv(location, value);
-          break;
-        case gl.FLOAT:
-          gl.uniform1fv(location, value);
-          break;
-        default:
-          console.error(`Unsupported array length for uniform ${uniformName}: ${value.length}`);
+  uniformSets.forEach((uniforms) => {
+    Object.keys(uniforms).forEach((uniformName) => {
+      const setter = uniformSetters[uniformName];
+      if (setter) {
+        setter(uniforms[uniformName]);
       }
-    } else {
-      switch (UNIFORM_TYPES[uniformName]) {
-        case gl.FLOAT:
-          gl.uniform1f(location, value);
-          break;
-        case gl.SAMPLER_2D:
-          gl.uniform1i(location, textureUnit);
-          gl.activeTexture(gl.TEXTURE0 + textureUnit);
-          gl.bindTexture(gl.TEXTURE_2D, value);
-          textureUnit += 1;
-          break;
-        case gl.FLOAT_MAT4:
-          gl.uniformMatrix4fv(location, false, value);
-          break;
-        default:
-          console.error(`Unsupported uniform type for ${uniformName}`);
-      }
-    }
+    });
   });
 }
 
@@ -0,0 +1,207 @@
+"use strict";
+
+/**
+ * Creates a scene graph node.
+ * The local transform is kept as translation, rotation and scale and turned
+ * into `localMatrix` with `m4.compose` by `updateWorldMatrices`.
+ * @param {Object} [options] - Node settings.
+ * @param {string} [options.name=''] - Name used to find the node.
+ * @param {number[]} [options.translation=[0, 0, 0]] - Position relative to the parent.
+ * @param {number[]} [options.rotation=[0, 0, 0, 1]] - Rotation relative to the parent as an [x, y, z, w] quaternion.
+ * @param {number[]} [options.scale=[1, 1, 1]] - Scale relative to the parent.
+ * @param {Object} [options.model=null] - Loaded model drawn with this node's world matrix, e.g. from `loadModel`.
+ * @param {boolean} [options.visible=true] - Whether the node and its descendants are drawn.
+ * @param {Object} [options.materialOverride=null] - Uniform values applied on top of the materials of the node and its descendants, e.g. `{ emissive: [0.4, 0.4, 0] }`.
+ * @param {Object} [options.parent=null] - Node to attach the new node to.
+ * @returns {Object} The node.
+ */
+const createSceneNode = ({
+  name = '',
+  translation = [0, 0, 0],
+  rotation = [0, 0, 0, 1],
+  scale = [1, 1, 1],
+  model = null,
+  visible = true,
+  materialOverride = null,
+  parent = null,
+} = {}) => {
+  const node = {
+    name,
+    translation: [...translation],
+    rotation: [...rotation],
+    scale: [...scale],
+    localMatrix: m4.identity(),
+    worldMatrix: m4.identity(),
+    model,
+    visible,
+    materialOverride,
+    parent: null,
+    children: [],
+  };
+
+  if (parent) {
+    setParent(node, parent);
+  }
+  return node;
+};
+
+/**
+ * Creates a node for a loaded model with a child for every OBJ object and,
+ * below those, one for every group, so sub-parts can be found by name,
+ * hidden, moved or given a material override.
+ * @param {Object} model - Model from `loadModel`; its parts carry `object`, `groups` and `extents`.
+ * @param {Object} [options] - Settings of the model's root node, as for `createSceneNode`.
+ * @returns {Object} The model's root node.
+ */
+const createModelNode = (model, options = {}) => {
+  const root = createSceneNode(options);
+
+  model.parts.forEach((part) => {
+    const objectNode = root.children.find(child => child.name === part.object) ||
+      createSceneNode({ name: part.object, parent: root });
+
+    const groupName = part.groups.join(' ');
+    const groupNode = objectNode.children.find(child => child.name === groupName) ||
+      createSceneNode({ name: groupName, model: { parts: [], extents: null }, parent: objectNode });
+
+    // Each group gets its own model holding just its parts, with extents to match
+    const groupModel = groupNode.model;
+    groupModel.parts.push(part);
+    groupModel.extents = groupModel.extents ? {
+      min: groupModel.extents.min.map((v, j) => Math.min(v, part.extents.min[j])),
+      max: groupModel.extents.max.map((v, j) => Math.max(v, part.extents.max[j])),
+    } : part.extents;
+  });
+
+  return root;
+};
+
+/**
+ * Moves a node under a new parent, or detaches it with null.
+ * @param {Object} node - The node to move.
+ * @param {Object|null} parent - The new parent node.
+ */
+const setParent = (node, parent) => {
+  if (node.parent) {
+    const siblings = node.parent.children;
+    siblings.splice(siblings.indexOf(node), 1);
+  }
+
+  node.parent = parent;
+  if (parent) {
+    parent.children.push(node);
+  }
+};
+
+/**
+ * Sets a node's local transform from a matrix by decomposing it into translation, rotation and scale.
+ * Shear cannot be represented and is lost.
+ * @param {Object} node - The node.
+ * @param {Matrix4} matrix - The local matrix.
+ */
+const setLocalMatrix = (node, matrix) => {
+  m4.decompose(matrix, node.translation, node.rotation, node.scale);
+};
+
+/**
+ * Recomputes the local and world matrices of a node and all of its descendants.
+ * @param {Object} node - The root of the subtree to update.
+ * @param {Matrix4} [parentWorldMatrix] - World matrix of the node's parent; defaults to the actual parent's.
+ */
+const updateWorldMatrices = (node, parentWorldMatrix = node.parent ? node.parent.worldMatrix : null) => {
+  m4.compose(node.translation, node.rotation, node.scale, node.localMatrix);
+
+  if (parentWorldMatrix) {
+    m4.multiply(parentWorldMatrix, node.localMatrix, node.worldMatrix);
+  } else {
+    m4.copy(node.localMatrix, node.worldMatrix);
+  }
+
+  node.children.forEach(child => updateWorldMatrices(child, node.worldMatrix));
+};
+
+/**
+ * Calls a function for a node and every descendant, parents before children.
+ * @param {Object} node - The root of the subtree.
+ * @param {Function} callback - Called with each node; returning false skips the node's children.
+ */
+const traverseScene = (node, callback) => {
+  if (callback(node) === false) return;
+  node.children.forEach(child => traverseScene(child, callback));
+};
+
+/**
+ * Finds a node in a subtree by name, or by a `/`-separated path of names
+ * such as `duck/Duck/beak` when names repeat in different branches.
+ * @param {Object} node - The root of the subtree.
+ * @param {string} name - The node name or path.
+ * @returns {Object|null} The first matching node, or null if there is none.
+ */
+const findSceneNode = (node, name) => {
+  const [first, ...rest] = name.split('/');
+  let found = null;
+
+  traverseScene(node, (candidate) => {
+    if (found) return false;
+    if (candidate.name === first) {
+      found = rest.length ? findChildPath(candidate, rest) : candidate;
+    }
+  });
+
+  return found;
+};
+
+/**
+ * Follows a path of child names down from a node.
+ * @param {Object} node - The starting node.
+ * @param {string[]} names - Child names, one per level.
+ * @returns {Object|null} The node at the end of the path, or null if a name is missing.
+ */
+const findChildPath = (node, names) => {
+  return names.reduce((current, name) => current && (current.children.find(child => child.name === name) || null), node);
+};
+
+/**
+ * Combines the material overrides of a node and its ancestors, nearer nodes winning.
+ * @param {Object} node - The node.
+ * @returns {Object} Uniform values to apply on top of the node's materials.
+ */
+const getMaterialOverride = (node) => {
+  const inherited = node.parent ? getMaterialOverride(node.parent) : {};
+  return node.materialOverride ? { ...inherited, ...node.materialOverride } : inherited;
+};
+
+/**
+ * Computes world-space extents of all visible models in a subtree from their world matrices.
+ * Run `updateWorldMatrices` first.
+ * @param {Object} node - The root of the subtree.
+ * @returns {Object|null} The min and max coordinates, or null if the subtree has no models.
+ */
+const getSceneExtents = (node) => {
+  let extents = null;
+
+  traverseScene(node, ({ model, worldMatrix, visible }) => {
+    if (!visible) return false;
+    if (!model) return;
+
+    // Transform all eight corners of the model's box
+    const { min, max } = model.extents;
+    for (let corner = 0; corner < 8; ++corner) {
+      const point = [...m4.transformPoint(worldMatrix, [
+        corner & 1 ? max[0] : min[0],
+        corner & 2 ? max[1] : min[1],
+        corner & 4 ? max[2] : min[2],
+      ])];
+
+      if (!extents) {
+        extents = { min: [...point], max: [...point] };
+      }
+      for (let j = 0; j < 3; ++j) {
+        extents.min[j] = Math.min(extents.min[j], point[j]);
+        extents.max[j] = Math.max(extents.max[j], point[j]);
+      }
+    }
+  });
+
+  return extents;
+};
@@ -0,0 +1,175 @@
+"use strict";
+
+/** Number of shadow map slots in the fragment shader; extra shadow-casting lights are lit unshadowed */
+const MAX_SHADOW_MAPS = 2;
+
+/** Shadow map of each light, recreated when the light's `shadowMapSize` changes */
+const shadowMaps = new WeakMap();
+
+/** 1x1 shadow map at the far plane, bound to unused shadow slots */
+const emptyShadowMaps = new WeakMap();
+
+/**
+ * Creates a framebuffer whose color texture receives depth packed into RGBA,
+ * which works on WebGL1 without the depth texture extension.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {number} size - Width and height of the shadow map in pixels.
+ * @returns {Object} The framebuffer, its texture and depth renderbuffer, and the size.
+ */
+const createShadowMap = (gl, size) => {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+  const depthBuffer = gl.createRenderbuffer();
+  gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+  gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, size, size);
+
+  const framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+  return { framebuffer, texture, depthBuffer, size };
+};
+
+/**
+ * Deletes the GPU resources of a shadow map.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {Object} shadowMap - Shadow map from `createShadowMap`.
+ */
+const deleteShadowMap = (gl, shadowMap) => {
+  gl.deleteFramebuffer(shadowMap.framebuffer);
+  gl.deleteRenderbuffer(shadowMap.depthBuffer);
+  gl.deleteTexture(shadowMap.texture);
+};
+
+/**
+ * Gets the shadow map of a light, creating or resizing it as needed.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {Object} light - Light from `createLight`.
+ * @returns {Object} Shadow map from `createShadowMap`.
+ */
+const getShadowMap = (gl, light) => {
+  let shadowMap = shadowMaps.get(light);
+  if (!shadowMap || shadowMap.size !== light.shadowMapSize) {
+    if (shadowMap) {
+      deleteShadowMap(gl, shadowMap);
+    }
+    shadowMap = createShadowMap(gl, light.shadowMapSize);
+    shadowMaps.set(light, shadowMap);
+  }
+  return shadowMap;
+};
+
+/**
+ * Computes the view and projection a light renders its shadow map with.
+ * Directional lights get an orthographic box around the bounds; spot lights a
+ * perspective frustum covering their outer cone.
+ * @param {Object} light - Directional or spot light from `createLight`.
+ * @param {Object} bounds - World-space min and max coordinates of the shadow casters and receivers.
+ * @returns {Object} The light's view and projection matrices.
+ */
+const getLightViewProjection = (light, bounds) => {
+  const range = m4.subtractVectors(bounds.max, bounds.min, []);
+  const center = m4.addVectors(bounds.min, m4.scaleVector(range, 0.5, []), []);
+  const radius = m4.length(range) / 2 || 1;
+  const up = Math.abs(light.direction[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+
+  if (light.type === 'spot') {
+    const target = m4.addVectors(light.position, light.direction, []);
+    const view = m4.inverse(m4.lookAt(light.position, target, up));
+
+    const distance = m4.length(m4.subtractVectors(center, light.position, []));
+    const far = light.range > 0 ? Math.min(light.range, distance + radius) : distance + radius;
+    const near = Math.max(distance - radius, far / 1000);
+    const fieldOfView = Math.min(light.outerConeAngle * 2, Math.PI * 0.95);
+
+    return { view, projection: m4.perspective(fieldOfView, 1, near, far) };
+  }
+
+  // Back off along the light direction far enough to see the whole bounding sphere
+  const eye = m4.subtractVectors(center, m4.scaleVector(light.direction, radius * 2, []), []);
+  const view = m4.inverse(m4.lookAt(eye, center, up));
+  return { view, projection: m4.orthographic(-radius, radius, -radius, radius, radius, radius * 3) };
+};
+
+/**
+ * Renders the depth of every shadow-casting light into its shadow map.
+ * Leaves the default framebuffer bound; the caller sets its own viewport afterwards.
+ * @param {WebGLRenderingContext} gl - The WebGL context.
+ * @param {WebGLProgram} depthProgram - Program writing packed depth, with a `u_viewProjection` uniform.
+ * @param {Array<Object>} lights - Lights from `createLight`; those with `castShadow` get a shadow map.
+ * @param {Object} bounds - World-space min and max coordinates of the scene.
+ * @param {Function} drawCasters - Called with the depth program bound to draw the shadow casters.
+ * @returns {Object} `lightShadows`, mapping each shadowed light to its slot, and the shadow uniforms for `setUniforms`.
+ */
+const renderShadowMaps = (gl, depthProgram, lights, bounds, drawCasters) => {
+  const casters = lights.filter(light => light.castShadow && (light.type === 'directional' || light.type === 'spot'));
+  if (casters.length > MAX_SHADOW_MAPS) {
+    console.warn(`Only the first ${MAX_SHADOW_MAPS} of ${casters.length} shadow-casting lights cast shadows`);
+    casters.length = MAX_SHADOW_MAPS;
+  }
+
+  if (!emptyShadowMaps.has(gl)) {
+    emptyShadowMaps.set(gl, create1PixelTexture(gl, [255, 255, 255, 255]));
+  }
+
+  const lightShadows = new Map();
+  const textures = [];
+  const matrices = [];
+  const biases = [];
+  const texelRadii = [];
+
+  // Maps clip space to shadow map texture coordinates and depth in [0, 1]
+  const clipToTexture = m4.multiply(m4.translation(0.5, 0.5, 0.5), m4.scaling(0.5, 0.5, 0.5));
+
+  gl.useProgram(depthProgram);
+  gl.enable(gl.DEPTH_TEST);
+  gl.clearColor(1, 1, 1, 1);
+
+  casters.forEach((light, ndx) => {
+    const shadowMap = getShadowMap(gl, light);
+    const { view, projection } = getLightViewProjection(light, bounds);
+    const viewProjection = m4.multiply(projection, view);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, shadowMap.framebuffer);
+    gl.viewport(0, 0, shadowMap.size, shadowMap.size);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    setUniforms(gl, depthProgram, { u_viewProjection: viewProjection });
+    drawCasters(depthProgram);
+
+    lightShadows.set(light, ndx);
+    textures.push(shadowMap.texture);
+    matrices.push(...m4.multiply(clipToTexture, viewProjection));
+    biases.push(light.shadowBias);
+    texelRadii.push(light.shadowRadius / shadowMap.size);
+  });
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.clearColor(0, 0, 0, 0);
+
+  // Unused slots still need a texture and values of the right length
+  for (let ndx = casters.length; ndx < MAX_SHADOW_MAPS; ++ndx) {
+    textures.push(emptyShadowMaps.get(gl));
+    matrices.push(...m4.identity());
+    biases.push(0);
+    texelRadii.push(0);
+  }
+
+  return {
+    lightShadows,
+    uniforms: {
+      u_shadowMap: textures,
+      u_shadowMatrix: matrices,
+      u_shadowBias: biases,
+      u_shadowTexelRadius: texelRadii,
+    },
+  };
+};
@@ -0,0 +1,34 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/** Root of the repository, where the browser scripts and sample files live */
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Runs browser scripts in this Node process the way `index.html` loads them:
+ * in order and sharing one global scope.
+ * @param {string[]} files - Script file names relative to the repository root.
+ * @param {string[]} names - Top-level declarations to return.
+ * @returns {Object} The declarations keyed by name.
+ */
+const loadScripts = (files, names) => {
+  files.forEach((file) => {
+    const filename = path.join(ROOT, file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+  });
+  return vm.runInThisContext(`({ ${names.join(', ')} })`);
+};
+
+/**
+ * Reads a text file of the repository, such as the sample OBJ.
+ * @param {string} file - File name relative to the repository root.
+ * @returns {string} The file contents.
+ */
+const readRepoFile = (file) => {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+};
+
+module.exports = { loadScripts, readRepoFile };
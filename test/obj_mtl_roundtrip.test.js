@@ -0,0 +1,131 @@
+"use strict";
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readRepoFile } = require('./load_scripts.js');
+
+const { m4, ParseObjFile, WriteObjFile, ParseMaterialFile, WriteMaterialFile } = loadScripts(
+  ['matrix_m4.js', 'matrix_m3.js', 'vector_vec3.js', 'parsing_mtl.js', 'parsing_util.js', 'parsing_obj.js'],
+  ['m4', 'ParseObjFile', 'WriteObjFile', 'ParseMaterialFile', 'WriteMaterialFile'],
+);
+
+/**
+ * Parses OBJ text, writes it back and parses the result again.
+ * @param {string} text - The OBJ text.
+ * @param {Object} [parseOptions] - Options for `ParseObjFile`.
+ * @param {Object} [writeOptions] - Options for `WriteObjFile`.
+ * @returns {Object} The first and second parse.
+ */
+const roundTripObj = (text, parseOptions = {}, writeOptions = {}) => {
+  const parsed = ParseObjFile(text, parseOptions);
+  const reparsed = ParseObjFile(WriteObjFile(parsed, writeOptions), parseOptions);
+  return { parsed, reparsed };
+};
+
+/**
+ * Copies parsed geometries with -0 replaced by 0 in their vertex data, since the
+ * writer prints -0 as `0`. Everything else is copied unchanged.
+ * @param {Array<Object>} geometries - Geometries from `ParseObjFile`.
+ * @returns {Array<Object>} The copies.
+ */
+const zeroNegativeZeros = (geometries) => {
+  return geometries.map(geometry => ({
+    ...geometry,
+    data: Object.fromEntries(Object.entries(geometry.data)
+      .map(([name, values]) => [name, values.map(value => (Object.is(value, -0) ? 0 : value))])),
+  }));
+};
+
+/**
+ * Gets the normal of a triangle from its winding.
+ * @param {number[]} position - Vertex positions, 3 per vertex.
+ * @param {number[]} corners - The triangle's three vertex indices.
+ * @returns {number[]} The unnormalized normal.
+ */
+const getWindingNormal = (position, [a, b, c]) => {
+  const vertex = index => position.slice(index * 3, index * 3 + 3);
+  return m4.cross(m4.subtractVectors(vertex(b), vertex(a)), m4.subtractVectors(vertex(c), vertex(a)), []);
+};
+
+const TRIANGLE_OBJ = `
+v 0 0 0
+v 1 0 0
+v 0 1 0
+vn 0 0 1
+f 1//1 2//1 3//1
+`;
+
+test('duck_final.obj survives a parse, write and parse round trip', () => {
+  [false, true].forEach((indexed) => {
+    const { parsed, reparsed } = roundTripObj(readRepoFile('duck_final.obj'), { indexed });
+
+    assert.deepEqual(parsed.diagnostics, []);
+    assert.deepEqual(reparsed.diagnostics, []);
+    assert.deepEqual(reparsed.materialLibs, ['duck_final.mtl']);
+    assert.deepEqual(reparsed.geometries, zeroNegativeZeros(parsed.geometries));
+  });
+});
+
+test('duck_final.mtl survives a parse, write and parse round trip', () => {
+  const parsed = ParseMaterialFile(readRepoFile('duck_final.mtl'));
+  const reparsed = ParseMaterialFile(WriteMaterialFile(parsed.materials));
+
+  assert.deepEqual(reparsed.diagnostics, []);
+  assert.deepEqual(reparsed.materials, parsed.materials);
+  assert.equal(reparsed.materials.duck.diffuseMap, 'Duck_Base_color.png');
+});
+
+test('texture map options survive an MTL round trip', () => {
+  const parsed = ParseMaterialFile([
+    'newmtl tiled',
+    'Kd 1 0.5 0.25',
+    'map_Kd -clamp on -s 2 2 1 -o 0.5 0 0 tiles.png',
+    'bump -bm 0.3 -imfchan l height.png',
+  ].join('\n'));
+  const reparsed = ParseMaterialFile(WriteMaterialFile(parsed.materials));
+
+  assert.deepEqual(parsed.diagnostics, []);
+  assert.deepEqual(reparsed.materials, parsed.materials);
+});
+
+test('a mirroring world matrix is baked in and the winding is reversed', () => {
+  const { reparsed } = roundTripObj(TRIANGLE_OBJ, {}, { worldMatrix: m4.scaling(-1, 1, 1) });
+  const { position, normal } = reparsed.geometries[0].data;
+
+  assert.deepEqual(position, [0, 1, 0, -1, 0, 0, 0, 0, 0]);
+  assert.deepEqual(normal, [0, 0, 1, 0, 0, 1, 0, 0, 1]);
+  // Front faces stay counterclockwise, so the winding agrees with the stored normal
+  assert.ok(m4.dot(getWindingNormal(position, [0, 1, 2]), normal.slice(0, 3)) > 0);
+});
+
+test('a world matrix without mirroring keeps the winding', () => {
+  const { reparsed } = roundTripObj(TRIANGLE_OBJ, {}, { worldMatrix: m4.translation(1, 2, 3) });
+  const { position, normal } = reparsed.geometries[0].data;
+
+  assert.deepEqual(position, [1, 2, 3, 2, 2, 3, 1, 3, 3]);
+  assert.ok(m4.dot(getWindingNormal(position, [0, 1, 2]), normal.slice(0, 3)) > 0);
+});
+
+test('line and point elements survive a round trip', () => {
+  const text = `
+v 0 0 0
+v 1 0 0
+v 1 1 0
+v 0 1 0
+g segments
+l 1 2
+l 3 4
+g strip
+l 1 2 3 4
+g cloud
+p 1 3 4
+`;
+  [false, true].forEach((indexed) => {
+    const { parsed, reparsed } = roundTripObj(text, { indexed });
+
+    assert.deepEqual(parsed.geometries.map(geometry => geometry.primitive), ['lines', 'lineStrip', 'points']);
+    assert.deepEqual(reparsed.diagnostics, []);
+    assert.deepEqual(reparsed.geometries, parsed.geometries);
+  });
+});
@@ -0,0 +1,71 @@
+"use strict";
+
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load_scripts.js');
+
+const { ParseObjFile } = loadScripts(['matrix_m4.js', 'parsing_util.js', 'parsing_obj.js'], ['ParseObjFile']);
+
+// Ends with an object name, group, material and smoothing group still active
+const OBJ_A = `
+mtllib a.mtl
+o Cube
+g side
+usemtl red
+s 1
+v 0 0 0
+v 1 0 0
+v 1 1 0
+v 0 1 1
+f 1 2 3
+f 1 3 4
+`;
+
+// Sets none of them and numbers its vertices from 1 again
+const OBJ_B = `
+v 0 0 0
+v 2 0 0
+v 2 2 0
+v 0 2 2
+f 1 2 3
+f 1 3 4
+`;
+
+test('parsing one OBJ after another gives the same result as parsing it alone', () => {
+  const aloneA = ParseObjFile(OBJ_A);
+  const aloneB = ParseObjFile(OBJ_B);
+
+  const afterB = ParseObjFile(OBJ_A);
+  const afterA = ParseObjFile(OBJ_B);
+
+  assert.deepEqual(afterB, aloneA);
+  assert.deepEqual(afterA, aloneB);
+});
+
+test('object name, group, material and smoothing group do not carry over', () => {
+  ParseObjFile(OBJ_A);
+  const { geometries, materialLibs } = ParseObjFile(OBJ_B);
+
+  assert.deepEqual(materialLibs, []);
+  assert.equal(geometries.length, 1);
+  const [{ object, groups, material, data }] = geometries;
+  assert.equal(object, 'default');
+  assert.deepEqual(groups, ['default']);
+  assert.equal(material, 'default');
+
+  // Without smoothing every corner of the first face has that face's normal
+  assert.deepEqual(data.normal.slice(0, 9), [0, 0, 1, 0, 0, 1, 0, 0, 1]);
+  // Face indices refer to this file's vertices only
+  assert.deepEqual(data.position.slice(0, 9), [0, 0, 0, 2, 0, 0, 2, 2, 0]);
+});
+
+test('an earlier result is not changed by later parses', () => {
+  const first = ParseObjFile(OBJ_A);
+  const snapshot = JSON.stringify(first);
+
+  ParseObjFile(OBJ_B);
+  ParseObjFile(OBJ_A);
+
+  assert.equal(JSON.stringify(first), snapshot);
+});
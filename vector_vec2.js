@@ -0,0 +1,319 @@
+/**
+ * 2-component vector math.
+ *
+ * @module webgl-vec2
+ */
+(function(root, factory) {  // eslint-disable-line
+    if (typeof define === 'function' && define.amd) {
+      // AMD. Register as an anonymous module.
+      define([], factory);
+    } else {
+      // Browser globals
+      root.vec2 = factory();
+    }
+  }(this, function() {
+    "use strict";
+
+    /**
+     * An array or typed array with 2 values.
+     * @typedef {number[]|TypedArray} Vector2
+     * @memberOf module:webgl-vec2
+     */
+
+    let VecType = Float32Array;
+
+    /**
+     * Sets the type this library creates for a Vec2
+     * @param {constructor} Ctor the constructor for the type. Either `Float32Array` or `Array`
+     * @return {constructor} previous constructor for Vec2
+     */
+    function setDefaultType(Ctor) {
+      const OldType = VecType;
+      VecType = Ctor;
+      return OldType;
+    }
+
+    /**
+     * Creates a vector.
+     * @param {number} [x=0] x component
+     * @param {number} [y=0] y component
+     * @return {Vector2} the new vector
+     * @memberOf module:webgl-vec2
+     */
+    function create(x = 0, y = 0) {
+      const dst = new VecType(2);
+      dst[0] = x;
+      dst[1] = y;
+      return dst;
+    }
+
+    /**
+     * Copies a vector.
+     * @param {Vector2} v vector to copy
+     * @param {Vector2} [dst] optional vector2 to store result
+     * @return {Vector2} dst or new Vector2 if not provided
+     * @memberOf module:webgl-vec2
+     */
+    function copy(v, dst) {
+      dst = dst || new VecType(2);
+      dst[0] = v[0];
+      dst[1] = v[1];
+      return dst;
+    }
+
+    /**
+     * Adds 2 vectors.
+     * @param {Vector2} a a
+     * @param {Vector2} b b
+     * @param {Vector2} [dst] optional vector2 to store result
+     * @return {Vector2} dst or new Vector2 if not provided
+     * @memberOf module:webgl-vec2
+     */
+    function add(a, b, dst) {
+      dst = dst || new VecType(2);
+      dst[0] = a[0] + b[0];
+      dst[1] = a[1] + b[1];
+      return dst;
+    }
+
+    /**
+     * Subtracts b from a.
+     * @param {Vector2} a a
+     * @param {Vector2} b b
+     * @param {Vector2} [dst] optional vector2 to store result
+     * @return {Vector2} dst or new Vector2 if not provided
+     * @memberOf module:webgl-vec2
+     */
+    function subtract(a, b, dst) {
+      dst = dst || new VecType(2);
+      dst[0] = a[0] - b[0];
+      dst[1] = a[1] - b[1];
+      return dst;
+    }
+
+    /**
+     * Multiplies a vector by a scalar.
+     * @param {Vector2} v vector
+     * @param {number} s scale
+     * @param {Vector2} [dst] optional vector2 to store result
+     * @return {Vector2} dst or new Vector2 if not provided
+     * @memberOf module:webgl-vec2
+     */
+    function scale(v, s, dst) {
+      dst = dst || new VecType(2);
+      dst[0] = v[0] * s;
+      dst[1] = v[1] * s;
+      return dst;
+    }
+
+    /**
+     * Multiplies 2 vectors component-wise.
+     * @param {Vector2} a a
+     * @param {Vector2} b b
+     * @param {Vector2} [dst] optional vector2 to store result
+     * @return {Vector2} dst or new Vector2 if not provided
+     * @memberOf module:webgl-vec2
+     */
+    function multiply(a, b, dst) {
+      dst = dst || new VecType(2);
+      dst[0] = a[0] * b[0];
+      dst[1] = a[1] * b[1];
+      return dst;
+    }
+
+    /**
+     * Negates a vector.
+     * @param {Vector2} v vector
+     * @param {Vector2} [dst] optional vector2 to store result
+     * @return {Vector2} dst or new Vector2 if not provided
+     * @memberOf module:webgl-vec2
+     */
+    function negate(v, dst) {
+      dst = dst || new VecType(2);
+      dst[0] = -v[0];
+      dst[1] = -v[1];
+      return dst;
+    }
+
+    /**
+     * Computes the component-wise minimum of 2 vectors.
+     * @param {Vector2} a a
+     * @param {Vector2} b b
+     * @param {Vector2} [dst] optional vector2 to store result
+     * @return {Vector2} dst or new Vector2 if not provided
+     * @memberOf module:webgl-vec2
+     */
+    function min(a, b, dst) {
+      dst = dst || new VecType(2);
+      dst[0] = Math.min(a[0], b[0]);
+      dst[1] = Math.min(a[1], b[1]);
+      return dst;
+    }
+
+    /**
+     * Computes the component-wise maximum of 2 vectors.
+     * @param {Vector2} a a
+     * @param {Vector2} b b
+     * @param {Vector2} [dst] optional vector2 to store result
+     * @return {Vector2} dst or new Vector2 if not provided
+     * @memberOf module:webgl-vec2
+     */
+    function max(a, b, dst) {
+      dst = dst || new VecType(2);
+      dst[0] = Math.max(a[0], b[0]);
+      dst[1] = Math.max(a[1], b[1]);
+      return dst;
+    }
+
+    /**
+     * Computes the dot product of 2 vectors.
+     * @param {Vector2} a a
+     * @param {Vector2} b b
+     * @return {number} dot product
+     * @memberOf module:webgl-vec2
+     */
+    function dot(a, b) {
+      return a[0] * b[0] + a[1] * b[1];
+    }
+
+    /**
+     * Computes the z component of the cross product of 2 vectors in the xy plane.
+     * @param {Vector2} a a
+     * @param {Vector2} b b
+     * @return {number} a.x * b.y - a.y * b.x, positive when b is counterclockwise from a
+     * @memberOf module:webgl-vec2
+     */
+    function cross(a, b) {
+      return a[0] * b[1] - a[1] * b[0];
+    }
+
+    /**
+     * Computes the length of a vector.
+     * @param {Vector2} v vector
+     * @return {number} length of vector
+     * @memberOf module:webgl-vec2
+     */
+    function length(v) {
+      return Math.sqrt(lengthSq(v));
+    }
+
+    /**
+     * Computes the length squared of a vector.
+     * @param {Vector2} v vector
+     * @return {number} length squared of vector
+     * @memberOf module:webgl-vec2
+     */
+    function lengthSq(v) {
+      return v[0] * v[0] + v[1] * v[1];
+    }
+
+    /**
+     * Computes the distance between 2 points.
+     * @param {Vector2} a a
+     * @param {Vector2} b b
+     * @return {number} distance between a and b
+     * @memberOf module:webgl-vec2
+     */
+    function distance(a, b) {
+      return Math.sqrt(distanceSq(a, b));
+    }
+
+    /**
+     * Computes the distance squared between 2 points.
+     * @param {Vector2} a a
+     * @param {Vector2} b b
+     * @return {number} distance squared between a and b
+     * @memberOf module:webgl-vec2
+     */
+    function distanceSq(a, b) {
+      const dx = a[0] - b[0];
+      const dy = a[1] - b[1];
+      return dx * dx + dy * dy;
+    }
+
+    /**
+     * Normalizes a vector. A zero-length vector stays zero.
+     * @param {Vector2} v vector to normalize
+     * @param {Vector2} [dst] optional vector2 to store result
+     * @return {Vector2} dst or new Vector2 if not provided
+     * @memberOf module:webgl-vec2
+     */
+    function normalize(v, dst) {
+      dst = dst || new VecType(2);
+      const len = length(v);
+      const s = len > 0.00001 ? 1 / len : 0;
+      dst[0] = v[0] * s;
+      dst[1] = v[1] * s;
+      return dst;
+    }
+
+    /**
+     * Linearly interpolates between 2 vectors.
+     * @param {Vector2} a start
+     * @param {Vector2} b end
+     * @param {number} t interpolation amount; 0 gives a and 1 gives b
+     * @param {Vector2} [dst] optional vector2 to store result
+     * @return {Vector2} dst or new Vector2 if not provided
+     * @memberOf module:webgl-vec2
+     */
+    function lerp(a, b, t, dst) {
+      dst = dst || new VecType(2);
+      dst[0] = a[0] + (b[0] - a[0]) * t;
+      dst[1] = a[1] + (b[1] - a[1]) * t;
+      return dst;
+    }
+
+    /**
+     * Transforms a point by a 3-by-3 matrix, e.g. texture coordinates by a texture transform.
+     * @param {Vector2} v the point
+     * @param {Matrix3} m the matrix
+     * @param {Vector2} [dst] optional vector2 to store result
+     * @return {Vector2} dst or new Vector2 if not provided
+     * @memberOf module:webgl-vec2
+     */
+    function transformMat3(v, m, dst) {
+      dst = dst || new VecType(2);
+      const x = v[0];
+      const y = v[1];
+      dst[0] = m[0] * x + m[3] * y + m[6];
+      dst[1] = m[1] * x + m[4] * y + m[7];
+      return dst;
+    }
+
+    /**
+     * Checks whether 2 vectors are equal within a tolerance.
+     * @param {Vector2} a a
+     * @param {Vector2} b b
+     * @param {number} [epsilon=0.000001] largest allowed difference per component
+     * @return {boolean} true if the vectors are equal
+     * @memberOf module:webgl-vec2
+     */
+    function equalsApproximately(a, b, epsilon = 0.000001) {
+      return Math.abs(a[0] - b[0]) <= epsilon &&
+             Math.abs(a[1] - b[1]) <= epsilon;
+    }
+
+    return {
+      create: create,
+      copy: copy,
+      add: add,
+      subtract: subtract,
+      scale: scale,
+      multiply: multiply,
+      negate: negate,
+      min: min,
+      max: max,
+      dot: dot,
+      cross: cross,
+      length: length,
+      lengthSq: lengthSq,
+      distance: distance,
+      distanceSq: distanceSq,
+      normalize: normalize,
+      lerp: lerp,
+      transformMat3: transformMat3,
+      equalsApproximately: equalsApproximately,
+      setDefaultType: setDefaultType,
+    };
+
+  }));
@@ -0,0 +1,393 @@
+/**
+ * 3-component vector math.
+ *
+ * @module webgl-vec3
+ */
+(function(root, factory) {  // eslint-disable-line
+    if (typeof define === 'function' && define.amd) {
+      // AMD. Register as an anonymous module.
+      define([], factory);
+    } else {
+      // Browser globals
+      root.vec3 = factory();
+    }
+  }(this, function() {
+    "use strict";
+
+    /**
+     * An array or typed array with 3 values.
+     * @typedef {number[]|TypedArray} Vector3
+     * @memberOf module:webgl-vec3
+     */
+
+    let VecType = Float32Array;
+
+    /**
+     * Sets the type this library creates for a Vec3
+     * @param {constructor} Ctor the constructor for the type. Either `Float32Array` or `Array`
+     * @return {constructor} previous constructor for Vec3
+     */
+    function setDefaultType(Ctor) {
+      const OldType = VecType;
+      VecType = Ctor;
+      return OldType;
+    }
+
+    /**
+     * Creates a vector.
+     * @param {number} [x=0] x component
+     * @param {number} [y=0] y component
+     * @param {number} [z=0] z component
+     * @return {Vector3} the new vector
+     * @memberOf module:webgl-vec3
+     */
+    function create(x = 0, y = 0, z = 0) {
+      const dst = new VecType(3);
+      dst[0] = x;
+      dst[1] = y;
+      dst[2] = z;
+      return dst;
+    }
+
+    /**
+     * Copies a vector.
+     * @param {Vector3} v vector to copy
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function copy(v, dst) {
+      dst = dst || new VecType(3);
+      dst[0] = v[0];
+      dst[1] = v[1];
+      dst[2] = v[2];
+      return dst;
+    }
+
+    /**
+     * Adds 2 vectors.
+     * @param {Vector3} a a
+     * @param {Vector3} b b
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function add(a, b, dst) {
+      dst = dst || new VecType(3);
+      dst[0] = a[0] + b[0];
+      dst[1] = a[1] + b[1];
+      dst[2] = a[2] + b[2];
+      return dst;
+    }
+
+    /**
+     * Subtracts b from a.
+     * @param {Vector3} a a
+     * @param {Vector3} b b
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function subtract(a, b, dst) {
+      dst = dst || new VecType(3);
+      dst[0] = a[0] - b[0];
+      dst[1] = a[1] - b[1];
+      dst[2] = a[2] - b[2];
+      return dst;
+    }
+
+    /**
+     * Multiplies a vector by a scalar.
+     * @param {Vector3} v vector
+     * @param {number} s scale
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function scale(v, s, dst) {
+      dst = dst || new VecType(3);
+      dst[0] = v[0] * s;
+      dst[1] = v[1] * s;
+      dst[2] = v[2] * s;
+      return dst;
+    }
+
+    /**
+     * Multiplies 2 vectors component-wise.
+     * @param {Vector3} a a
+     * @param {Vector3} b b
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function multiply(a, b, dst) {
+      dst = dst || new VecType(3);
+      dst[0] = a[0] * b[0];
+      dst[1] = a[1] * b[1];
+      dst[2] = a[2] * b[2];
+      return dst;
+    }
+
+    /**
+     * Negates a vector.
+     * @param {Vector3} v vector
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function negate(v, dst) {
+      dst = dst || new VecType(3);
+      dst[0] = -v[0];
+      dst[1] = -v[1];
+      dst[2] = -v[2];
+      return dst;
+    }
+
+    /**
+     * Computes the component-wise minimum of 2 vectors.
+     * @param {Vector3} a a
+     * @param {Vector3} b b
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function min(a, b, dst) {
+      dst = dst || new VecType(3);
+      dst[0] = Math.min(a[0], b[0]);
+      dst[1] = Math.min(a[1], b[1]);
+      dst[2] = Math.min(a[2], b[2]);
+      return dst;
+    }
+
+    /**
+     * Computes the component-wise maximum of 2 vectors.
+     * @param {Vector3} a a
+     * @param {Vector3} b b
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function max(a, b, dst) {
+      dst = dst || new VecType(3);
+      dst[0] = Math.max(a[0], b[0]);
+      dst[1] = Math.max(a[1], b[1]);
+      dst[2] = Math.max(a[2], b[2]);
+      return dst;
+    }
+
+    /**
+     * Computes the dot product of 2 vectors.
+     * @param {Vector3} a a
+     * @param {Vector3} b b
+     * @return {number} dot product
+     * @memberOf module:webgl-vec3
+     */
+    function dot(a, b) {
+      return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    /**
+     * Computes the cross product of 2 vectors.
+     * @param {Vector3} a a
+     * @param {Vector3} b b
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function cross(a, b, dst) {
+      dst = dst || new VecType(3);
+      const x = a[1] * b[2] - a[2] * b[1];
+      const y = a[2] * b[0] - a[0] * b[2];
+      const z = a[0] * b[1] - a[1] * b[0];
+      dst[0] = x;
+      dst[1] = y;
+      dst[2] = z;
+      return dst;
+    }
+
+    /**
+     * Computes the length of a vector.
+     * @param {Vector3} v vector
+     * @return {number} length of vector
+     * @memberOf module:webgl-vec3
+     */
+    function length(v) {
+      return Math.sqrt(lengthSq(v));
+    }
+
+    /**
+     * Computes the length squared of a vector.
+     * @param {Vector3} v vector
+     * @return {number} length squared of vector
+     * @memberOf module:webgl-vec3
+     */
+    function lengthSq(v) {
+      return v[0] * v[0] + v[1] * v[1] + v[2] * v[2];
+    }
+
+    /**
+     * Computes the distance between 2 points.
+     * @param {Vector3} a a
+     * @param {Vector3} b b
+     * @return {number} distance between a and b
+     * @memberOf module:webgl-vec3
+     */
+    function distance(a, b) {
+      return Math.sqrt(distanceSq(a, b));
+    }
+
+    /**
+     * Computes the distance squared between 2 points.
+     * @param {Vector3} a a
+     * @param {Vector3} b b
+     * @return {number} distance squared between a and b
+     * @memberOf module:webgl-vec3
+     */
+    function distanceSq(a, b) {
+      const dx = a[0] - b[0];
+      const dy = a[1] - b[1];
+      const dz = a[2] - b[2];
+      return dx * dx + dy * dy + dz * dz;
+    }
+
+    /**
+     * Normalizes a vector. A zero-length vector stays zero.
+     * @param {Vector3} v vector to normalize
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function normalize(v, dst) {
+      dst = dst || new VecType(3);
+      const len = length(v);
+      const s = len > 0.00001 ? 1 / len : 0;
+      dst[0] = v[0] * s;
+      dst[1] = v[1] * s;
+      dst[2] = v[2] * s;
+      return dst;
+    }
+
+    /**
+     * Linearly interpolates between 2 vectors.
+     * @param {Vector3} a start
+     * @param {Vector3} b end
+     * @param {number} t interpolation amount; 0 gives a and 1 gives b
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function lerp(a, b, t, dst) {
+      dst = dst || new VecType(3);
+      dst[0] = a[0] + (b[0] - a[0]) * t;
+      dst[1] = a[1] + (b[1] - a[1]) * t;
+      dst[2] = a[2] + (b[2] - a[2]) * t;
+      return dst;
+    }
+
+    /**
+     * Transforms a point by a 4-by-4 matrix, dividing by w.
+     * @param {Vector3} v the point
+     * @param {Matrix4} m the matrix
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function transformMat4(v, m, dst) {
+      dst = dst || new VecType(3);
+      const x = v[0];
+      const y = v[1];
+      const z = v[2];
+      const w = (m[3] * x + m[7] * y + m[11] * z + m[15]) || 1;
+      dst[0] = (m[0] * x + m[4] * y + m[ 8] * z + m[12]) / w;
+      dst[1] = (m[1] * x + m[5] * y + m[ 9] * z + m[13]) / w;
+      dst[2] = (m[2] * x + m[6] * y + m[10] * z + m[14]) / w;
+      return dst;
+    }
+
+    /**
+     * Transforms a vector by a 3-by-3 matrix, e.g. a normal by a normal matrix.
+     * @param {Vector3} v the vector
+     * @param {Matrix3} m the matrix
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function transformMat3(v, m, dst) {
+      dst = dst || new VecType(3);
+      const x = v[0];
+      const y = v[1];
+      const z = v[2];
+      dst[0] = m[0] * x + m[3] * y + m[6] * z;
+      dst[1] = m[1] * x + m[4] * y + m[7] * z;
+      dst[2] = m[2] * x + m[5] * y + m[8] * z;
+      return dst;
+    }
+
+    /**
+     * Rotates a vector by a quaternion.
+     * @param {Vector3} v the vector
+     * @param {Quaternion} q the unit quaternion
+     * @param {Vector3} [dst] optional vector3 to store result
+     * @return {Vector3} dst or new Vector3 if not provided
+     * @memberOf module:webgl-vec3
+     */
+    function transformQuat(v, q, dst) {
+      dst = dst || new VecType(3);
+      const qx = q[0];
+      const qy = q[1];
+      const qz = q[2];
+      const qw = q[3];
+      const x = v[0];
+      const y = v[1];
+      const z = v[2];
+
+      // t = 2 * cross(q.xyz, v); v' = v + w * t + cross(q.xyz, t)
+      const tx = 2 * (qy * z - qz * y);
+      const ty = 2 * (qz * x - qx * z);
+      const tz = 2 * (qx * y - qy * x);
+      dst[0] = x + qw * tx + qy * tz - qz * ty;
+      dst[1] = y + qw * ty + qz * tx - qx * tz;
+      dst[2] = z + qw * tz + qx * ty - qy * tx;
+      return dst;
+    }
+
+    /**
+     * Checks whether 2 vectors are equal within a tolerance.
+     * @param {Vector3} a a
+     * @param {Vector3} b b
+     * @param {number} [epsilon=0.000001] largest allowed difference per component
+     * @return {boolean} true if the vectors are equal
+     * @memberOf module:webgl-vec3
+     */
+    function equalsApproximately(a, b, epsilon = 0.000001) {
+      return Math.abs(a[0] - b[0]) <= epsilon &&
+             Math.abs(a[1] - b[1]) <= epsilon &&
+             Math.abs(a[2] - b[2]) <= epsilon;
+    }
+
+    return {
+      create: create,
+      copy: copy,
+      add: add,
+      subtract: subtract,
+      scale: scale,
+      multiply: multiply,
+      negate: negate,
+      min: min,
+      max: max,
+      dot: dot,
+      cross: cross,
+      length: length,
+      lengthSq: lengthSq,
+      distance: distance,
+      distanceSq: distanceSq,
+      normalize: normalize,
+      lerp: lerp,
+      transformMat4: transformMat4,
+      transformMat3: transformMat3,
+      transformQuat: transformQuat,
+      equalsApproximately: equalsApproximately,
+      setDefaultType: setDefaultType,
+    };
+
+  }));
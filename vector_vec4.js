@@ -0,0 +1,339 @@
+/**
+ * 4-component vector math.
+ *
+ * @module webgl-vec4
+ */
+(function(root, factory) {  // eslint-disable-line
+    if (typeof define === 'function' && define.amd) {
+      // AMD. Register as an anonymous module.
+      define([], factory);
+    } else {
+      // Browser globals
+      root.vec4 = factory();
+    }
+  }(this, function() {
+    "use strict";
+
+    /**
+     * An array or typed array with 4 values.
+     * @typedef {number[]|TypedArray} Vector4
+     * @memberOf module:webgl-vec4
+     */
+
+    let VecType = Float32Array;
+
+    /**
+     * Sets the type this library creates for a Vec4
+     * @param {constructor} Ctor the constructor for the type. Either `Float32Array` or `Array`
+     * @return {constructor} previous constructor for Vec4
+     */
+    function setDefaultType(Ctor) {
+      const OldType = VecType;
+      VecType = Ctor;
+      return OldType;
+    }
+
+    /**
+     * Creates a vector.
+     * @param {number} [x=0] x component
+     * @param {number} [y=0] y component
+     * @param {number} [z=0] z component
+     * @param {number} [w=0] w component
+     * @return {Vector4} the new vector
+     * @memberOf module:webgl-vec4
+     */
+    function create(x = 0, y = 0, z = 0, w = 0) {
+      const dst = new VecType(4);
+      dst[0] = x;
+      dst[1] = y;
+      dst[2] = z;
+      dst[3] = w;
+      return dst;
+    }
+
+    /**
+     * Copies a vector.
+     * @param {Vector4} v vector to copy
+     * @param {Vector4} [dst] optional vector4 to store result
+     * @return {Vector4} dst or new Vector4 if not provided
+     * @memberOf module:webgl-vec4
+     */
+    function copy(v, dst) {
+      dst = dst || new VecType(4);
+      dst[0] = v[0];
+      dst[1] = v[1];
+      dst[2] = v[2];
+      dst[3] = v[3];
+      return dst;
+    }
+
+    /**
+     * Adds 2 vectors.
+     * @param {Vector4} a a
+     * @param {Vector4} b b
+     * @param {Vector4} [dst] optional vector4 to store result
+     * @return {Vector4} dst or new Vector4 if not provided
+     * @memberOf module:webgl-vec4
+     */
+    function add(a, b, dst) {
+      dst = dst || new VecType(4);
+      dst[0] = a[0] + b[0];
+      dst[1] = a[1] + b[1];
+      dst[2] = a[2] + b[2];
+      dst[3] = a[3] + b[3];
+      return dst;
+    }
+
+    /**
+     * Subtracts b from a.
+     * @param {Vector4} a a
+     * @param {Vector4} b b
+     * @param {Vector4} [dst] optional vector4 to store result
+     * @return {Vector4} dst or new Vector4 if not provided
+     * @memberOf module:webgl-vec4
+     */
+    function subtract(a, b, dst) {
+      dst = dst || new VecType(4);
+      dst[0] = a[0] - b[0];
+      dst[1] = a[1] - b[1];
+      dst[2] = a[2] - b[2];
+      dst[3] = a[3] - b[3];
+      return dst;
+    }
+
+    /**
+     * Multiplies a vector by a scalar.
+     * @param {Vector4} v vector
+     * @param {number} s scale
+     * @param {Vector4} [dst] optional vector4 to store result
+     * @return {Vector4} dst or new Vector4 if not provided
+     * @memberOf module:webgl-vec4
+     */
+    function scale(v, s, dst) {
+      dst = dst || new VecType(4);
+      dst[0] = v[0] * s;
+      dst[1] = v[1] * s;
+      dst[2] = v[2] * s;
+      dst[3] = v[3] * s;
+      return dst;
+    }
+
+    /**
+     * Multiplies 2 vectors component-wise.
+     * @param {Vector4} a a
+     * @param {Vector4} b b
+     * @param {Vector4} [dst] optional vector4 to store result
+     * @return {Vector4} dst or new Vector4 if not provided
+     * @memberOf module:webgl-vec4
+     */
+    function multiply(a, b, dst) {
+      dst = dst || new VecType(4);
+      dst[0] = a[0] * b[0];
+      dst[1] = a[1] * b[1];
+      dst[2] = a[2] * b[2];
+      dst[3] = a[3] * b[3];
+      return dst;
+    }
+
+    /**
+     * Negates a vector.
+     * @param {Vector4} v vector
+     * @param {Vector4} [dst] optional vector4 to store result
+     * @return {Vector4} dst or new Vector4 if not provided
+     * @memberOf module:webgl-vec4
+     */
+    function negate(v, dst) {
+      dst = dst || new VecType(4);
+      dst[0] = -v[0];
+      dst[1] = -v[1];
+      dst[2] = -v[2];
+      dst[3] = -v[3];
+      return dst;
+    }
+
+    /**
+     * Computes the component-wise minimum of 2 vectors.
+     * @param {Vector4} a a
+     * @param {Vector4} b b
+     * @param {Vector4} [dst] optional vector4 to store result
+     * @return {Vector4} dst or new Vector4 if not provided
+     * @memberOf module:webgl-vec4
+     */
+    function min(a, b, dst) {
+      dst = dst || new VecType(4);
+      dst[0] = Math.min(a[0], b[0]);
+      dst[1] = Math.min(a[1], b[1]);
+      dst[2] = Math.min(a[2], b[2]);
+      dst[3] = Math.min(a[3], b[3]);
+      return dst;
+    }
+
+    /**
+     * Computes the component-wise maximum of 2 vectors.
+     * @param {Vector4} a a
+     * @param {Vector4} b b
+     * @param {Vector4} [dst] optional vector4 to store result
+     * @return {Vector4} dst or new Vector4 if not provided
+     * @memberOf module:webgl-vec4
+     */
+    function max(a, b, dst) {
+      dst = dst || new VecType(4);
+      dst[0] = Math.max(a[0], b[0]);
+      dst[1] = Math.max(a[1], b[1]);
+      dst[2] = Math.max(a[2], b[2]);
+      dst[3] = Math.max(a[3], b[3]);
+      return dst;
+    }
+
+    /**
+     * Computes the dot product of 2 vectors.
+     * @param {Vector4} a a
+     * @param {Vector4} b b
+     * @return {number} dot product
+     * @memberOf module:webgl-vec4
+     */
+    function dot(a, b) {
+      return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+    }
+
+    /**
+     * Computes the length of a vector.
+     * @param {Vector4} v vector
+     * @return {number} length of vector
+     * @memberOf module:webgl-vec4
+     */
+    function length(v) {
+      return Math.sqrt(lengthSq(v));
+    }
+
+    /**
+     * Computes the length squared of a vector.
+     * @param {Vector4} v vector
+     * @return {number} length squared of vector
+     * @memberOf module:webgl-vec4
+     */
+    function lengthSq(v) {
+      return v[0] * v[0] + v[1] * v[1] + v[2] * v[2] + v[3] * v[3];
+    }
+
+    /**
+     * Computes the distance between 2 points.
+     * @param {Vector4} a a
+     * @param {Vector4} b b
+     * @return {number} distance between a and b
+     * @memberOf module:webgl-vec4
+     */
+    function distance(a, b) {
+      return Math.sqrt(distanceSq(a, b));
+    }
+
+    /**
+     * Computes the distance squared between 2 points.
+     * @param {Vector4} a a
+     * @param {Vector4} b b
+     * @return {number} distance squared between a and b
+     * @memberOf module:webgl-vec4
+     */
+    function distanceSq(a, b) {
+      const dx = a[0] - b[0];
+      const dy = a[1] - b[1];
+      const dz = a[2] - b[2];
+      const dw = a[3] - b[3];
+      return dx * dx + dy * dy + dz * dz + dw * dw;
+    }
+
+    /**
+     * Normalizes a vector. A zero-length vector stays zero.
+     * @param {Vector4} v vector to normalize
+     * @param {Vector4} [dst] optional vector4 to store result
+     * @return {Vector4} dst or new Vector4 if not provided
+     * @memberOf module:webgl-vec4
+     */
+    function normalize(v, dst) {
+      dst = dst || new VecType(4);
+      const len = length(v);
+      const s = len > 0.00001 ? 1 / len : 0;
+      dst[0] = v[0] * s;
+      dst[1] = v[1] * s;
+      dst[2] = v[2] * s;
+      dst[3] = v[3] * s;
+      return dst;
+    }
+
+    /**
+     * Linearly interpolates between 2 vectors.
+     * @param {Vector4} a start
+     * @param {Vector4} b end
+     * @param {number} t interpolation amount; 0 gives a and 1 gives b
+     * @param {Vector4} [dst] optional vector4 to store result
+     * @return {Vector4} dst or new Vector4 if not provided
+     * @memberOf module:webgl-vec4
+     */
+    function lerp(a, b, t, dst) {
+      dst = dst || new VecType(4);
+      dst[0] = a[0] + (b[0] - a[0]) * t;
+      dst[1] = a[1] + (b[1] - a[1]) * t;
+      dst[2] = a[2] + (b[2] - a[2]) * t;
+      dst[3] = a[3] + (b[3] - a[3]) * t;
+      return dst;
+    }
+
+    /**
+     * Transforms a vector by a 4-by-4 matrix.
+     * @param {Vector4} v the vector
+     * @param {Matrix4} m the matrix
+     * @param {Vector4} [dst] optional vector4 to store result
+     * @return {Vector4} dst or new Vector4 if not provided
+     * @memberOf module:webgl-vec4
+     */
+    function transformMat4(v, m, dst) {
+      dst = dst || new VecType(4);
+      const x = v[0];
+      const y = v[1];
+      const z = v[2];
+      const w = v[3];
+      dst[0] = m[0] * x + m[4] * y + m[ 8] * z + m[12] * w;
+      dst[1] = m[1] * x + m[5] * y + m[ 9] * z + m[13] * w;
+      dst[2] = m[2] * x + m[6] * y + m[10] * z + m[14] * w;
+      dst[3] = m[3] * x + m[7] * y + m[11] * z + m[15] * w;
+      return dst;
+    }
+
+    /**
+     * Checks whether 2 vectors are equal within a tolerance.
+     * @param {Vector4} a a
+     * @param {Vector4} b b
+     * @param {number} [epsilon=0.000001] largest allowed difference per component
+     * @return {boolean} true if the vectors are equal
+     * @memberOf module:webgl-vec4
+     */
+    function equalsApproximately(a, b, epsilon = 0.000001) {
+      return Math.abs(a[0] - b[0]) <= epsilon &&
+             Math.abs(a[1] - b[1]) <= epsilon &&
+             Math.abs(a[2] - b[2]) <= epsilon &&
+             Math.abs(a[3] - b[3]) <= epsilon;
+    }
+
+    return {
+      create: create,
+      copy: copy,
+      add: add,
+      subtract: subtract,
+      scale: scale,
+      multiply: multiply,
+      negate: negate,
+      min: min,
+      max: max,
+      dot: dot,
+      length: length,
+      lengthSq: lengthSq,
+      distance: distance,
+      distanceSq: distanceSq,
+      normalize: normalize,
+      lerp: lerp,
+      transformMat4: transformMat4,
+      equalsApproximately: equalsApproximately,
+      setDefaultType: setDefaultType,
+    };
+
+  }));
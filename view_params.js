@@ -0,0 +1,131 @@
+"use strict";
+
+/** URL parameters describing a view, in the order they are written */
+const VIEW_PARAM_NAMES = ['model', 'mtl', 'camera', 'target', 'fov', 'background', 'render'];
+
+/**
+ * Parses a comma-separated list of 3 numbers, e.g. a camera position.
+ * @param {string} value - The parameter value.
+ * @returns {number[]|null} The numbers, or null if the value is invalid.
+ */
+const parseVectorParam = (value) => {
+  const numbers = value.split(',').map(Number);
+  return numbers.length === 3 && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+/**
+ * Parses a hex color with 3, 4, 6 or 8 digits and an optional leading `#`.
+ * @param {string} value - The parameter value, e.g. `336699` or `#369`.
+ * @returns {number[]|null} RGBA in [0, 1], or null if the value is invalid.
+ */
+const parseColorParam = (value) => {
+  let hex = value.replace(/^#/, '');
+  if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) {
+    return null;
+  }
+  if (hex.length <= 4) {
+    hex = hex.replace(/./g, '$&$&');
+  }
+  const rgba = hex.match(/../g).map(byte => parseInt(byte, 16) / 255);
+  return rgba.length === 4 ? rgba : [...rgba, 1];
+};
+
+/**
+ * Formats a color as the hex digits `parseColorParam` reads, leaving out an opaque alpha.
+ * @param {number[]} color - RGBA in [0, 1].
+ * @returns {string} The hex digits without `#`, which would start the URL's hash.
+ */
+const formatColorParam = (color) => {
+  const channels = color[3] === 1 ? color.slice(0, 3) : color;
+  return channels.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Reads view settings from the query and hash parameters of a URL, so a link can reproduce a view, e.g.
+ * `index.html?model=models/chair.obj&camera=0,2,5&target=0,0.5,0&fov=45&background=202020&render=wireframe`.
+ * Hash parameters take precedence over query parameters. Invalid values are ignored with a warning.
+ * @param {string} href - The URL, usually `window.location.href`.
+ * @param {string[]} renderModes - The accepted `render` values.
+ * @returns {Object} The settings given: the `model` and `mtl` URLs, `cameraPosition` and `cameraTarget`,
+ *   `fieldOfView` in radians, `background` RGBA and `renderMode`.
+ */
+const parseViewParams = (href, renderModes) => {
+  const url = new URL(href);
+  const hashParams = new URLSearchParams(url.hash.slice(1));
+  const view = {};
+
+  const parsers = {
+    model: value => value || null,
+    mtl: value => value || null,
+    camera: parseVectorParam,
+    target: parseVectorParam,
+    fov: (value) => {
+      const degrees = Number(value);
+      return degrees > 0 && degrees < 180 ? degrees * Math.PI / 180 : null;
+    },
+    background: parseColorParam,
+    render: value => (renderModes.includes(value) ? value : null),
+  };
+  const keys = {
+    model: 'model',
+    mtl: 'mtl',
+    camera: 'cameraPosition',
+    target: 'cameraTarget',
+    fov: 'fieldOfView',
+    background: 'background',
+    render: 'renderMode',
+  };
+
+  VIEW_PARAM_NAMES.forEach((name) => {
+    const value = hashParams.has(name) ? hashParams.get(name) : url.searchParams.get(name);
+    if (value === null) return;
+
+    const parsed = parsers[name](value);
+    if (parsed === null) {
+      console.warn(`Ignoring URL parameter ${name}=${value}`);
+      return;
+    }
+    view[keys[name]] = parsed;
+  });
+
+  return view;
+};
+
+/**
+ * Builds the URL that reproduces a view through `parseViewParams`.
+ * The view is written to the query; other query parameters are kept and view
+ * parameters in the hash, which would take precedence, are removed.
+ * @param {string} href - The current URL.
+ * @param {Object} view - Settings as returned by `parseViewParams`; null or missing ones are left out.
+ * @returns {string} The URL.
+ */
+const formatViewUrl = (href, view) => {
+  const url = new URL(href);
+  const hashParams = new URLSearchParams(url.hash.slice(1));
+  // Five significant digits keep the link short without visibly moving the camera
+  const formatVector = vector => vector.map(v => Number(v.toPrecision(5))).join(',');
+
+  const values = {
+    model: view.model,
+    mtl: view.mtl,
+    camera: view.cameraPosition && formatVector(view.cameraPosition),
+    target: view.cameraTarget && formatVector(view.cameraTarget),
+    fov: view.fieldOfView && Number((view.fieldOfView * 180 / Math.PI).toPrecision(4)),
+    background: view.background && formatColorParam(view.background),
+    render: view.renderMode,
+  };
+
+  VIEW_PARAM_NAMES.forEach((name) => {
+    hashParams.delete(name);
+    if (values[name] === null || values[name] === undefined) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, values[name]);
+    }
+  });
+
+  // Commas and slashes are valid in queries; leaving them unescaped keeps links readable
+  url.search = url.searchParams.toString().replace(/%2C/g, ',').replace(/%2F/g, '/');
+  url.hash = hashParams.toString();
+  return url.href;
+};